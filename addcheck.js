@@ -0,0 +1,74 @@
+/**
+ * Add-time sanity checks for the Card Tracker PWA.
+ *
+ * Compares a card about to be added with its parallel's print run and with
+ * the copies already pending or owned, and returns warnings for the add sheet.
+ * Nothing here blocks an add; the sheet lets the user add anyway or merge the
+ * quantity into a matching pending entry.
+ */
+
+// "23/50", "#23/50", "23 of 50" or a bare "23"
+function parseSerial(text) {
+  const m = String(text == null ? '' : text).trim().match(/^#?\s*(\d+)\s*(?:(?:\/|of)\s*(\d+))?$/i);
+  return m ? { number: +m[1], of: m[2] ? +m[2] : null } : null;
+}
+
+function sameSerial(a, b) {
+  const sa = parseSerial(a);
+  const sb = parseSerial(b);
+  return !!(sa && sb && sa.number === sb.number);
+}
+
+// entry: the pending add being made; parallel: its catalog parallel
+// context.pending: other pending adds of this card; context.owned: collection copies of this card
+// context.sessionIds: ids added by the running session (null when none)
+// → { warnings: [{ kind, message }], mergeTarget } — mergeTarget is an unexported pending entry or null
+function checkAdd(entry, parallel, { pending = [], owned = [], sessionIds = null } = {}) {
+  const warnings = [];
+  const warn = (kind, message) => warnings.push({ kind, message });
+  const name = parallel ? parallel.name : entry.parallel;
+  const run = parallel && parallel.serial_numbered;
+  const serial = entry.serial_number ? parseSerial(entry.serial_number) : null;
+
+  if (entry.serial_number) {
+    if (!serial) warn('serial', `"${entry.serial_number}" doesn't look like a serial number (e.g. 23/50).`);
+    else if (!run) warn('serial', `${name} isn't serial-numbered.`);
+    else {
+      if (serial.of && serial.of !== run) warn('serial', `Serial is /${serial.of} but ${name} is /${run}.`);
+      if (serial.number < 1 || serial.number > run) warn('serial', `#${serial.number} is outside ${name}'s run of ${run}.`);
+    }
+  }
+
+  const samePending = pending.filter(e => e.parallel === entry.parallel);
+  const sameOwned = owned.filter(c => (c.parallel || 'Base') === entry.parallel);
+
+  // A numbered copy can't exist twice; a 1/1 can't exist twice at all
+  if (run === 1 && (samePending.length || sameOwned.length)) {
+    warn('duplicate', `${name} is a 1/1 and a copy is already ${sameOwned.length ? 'in your collection' : 'pending'}.`);
+  } else if (run && serial) {
+    const where = sameOwned.some(c => sameSerial(c.serial_number, entry.serial_number)) ? 'in your collection'
+      : samePending.some(e => sameSerial(e.serial_number, entry.serial_number)) ? 'pending' : null;
+    if (where) warn('duplicate', `#${serial.number}/${run} is already ${where}.`);
+  }
+
+  // Copies with different serials are different cards
+  const unexported = samePending.filter(e =>
+    !(e.exported_in && e.exported_in.length) &&
+    (!entry.serial_number || !e.serial_number || sameSerial(e.serial_number, entry.serial_number))
+  );
+  const fromSession = sessionIds ? unexported.find(e => sessionIds.has(e.id)) : null;
+  if (fromSession) {
+    warn('session', `Already added in this session${fromSession.quantity > 1 ? ' (x' + fromSession.quantity + ')' : ''}.`);
+  }
+
+  // Merging only raises the target's quantity, so it's offered just for interchangeable
+  // copies: unnumbered parallel, no serial on either side and the same grade
+  const mergeable = run || entry.serial_number ? [] : unexported.filter(e =>
+    !e.serial_number && (e.grade || null) === (entry.grade || null)
+  );
+  const mergeTarget = fromSession && mergeable.includes(fromSession) ? fromSession : mergeable[0] || null;
+
+  return { warnings, mergeTarget: warnings.length ? mergeTarget : null };
+}
+
+export { parseSerial, checkAdd };
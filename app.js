@@ -1,13 +1,36 @@
-import { putCatalog, getCatalog, addPending, getAllPending, deletePending, clearAllPending } from './db.js';
+import {
+  putCatalog, getCatalog, deleteCatalog, addPending, updatePending, getAllPending, deletePending,
+  addWant, updateWant, getAllWants, deleteWant, getMeta, putMeta, deleteMeta,
+  addSession, getAllSessions, deleteSession, addExport, updateExport, getAllExports, deleteExport, onDBBlocked,
+} from './db.js';
+import { diffCatalogs, isEmptyDiff } from './diff.js';
+import { validateCatalog } from './validate.js';
+import { findOrphans, suggestRemap, FIELD_LABELS } from './reconcile.js';
+import { parseQuickEntry } from './quickentry.js';
+import { matchLines } from './textimport.js';
+import { checkAdd } from './addcheck.js';
+import { gradingScales, subgradeScale, formatGrade, parseGrade } from './grading.js';
 
 // ── State ──
+let profiles = [];     // [{ id, name, url, auth_header }] catalog sources, see Catalog Profiles
+let activeProfileId = 'data'; // profile whose catalog, pending, wants and sessions are shown
 let catalog = null;    // the full catalog object
 let pendingList = [];  // cached pending entries
+let pendingOrphans = new Map(); // pending id → { field, value, message } for entries the catalog no longer resolves
+let wantList = [];     // cached want list entries
+let catalogDiff = null; // "What's new" report from the last catalog change
 let currentCards = []; // cards displayed in the browse list
 let currentSet = null; // { name, type, prefix, cards, parallels } of the selected set
 let selectedCard = null; // card tapped for the add sheet
-let ownedMap = new Map(); // "product|set|card_number" → total qty across all parallels
+let sheetContext = null; // { product, set } the add sheet is adding to (browse/edit)
+let editingEntry = null; // pending entry being edited in the add sheet, null when adding
+let ownedMap = new Map(); // "product|set|card_number" → { qty, median_price, grade, parallels: Map(name → qty) }
+let pendingOwnedMap = new Map(); // same keys as ownedMap, built from pending adds not yet on the desktop
+let expandedRainbows = new Set(); // card numbers whose rainbow strip is open in browse
 let searchDebounceTimer = null; // debounce timer for search input
+let globalSearch = false; // browse search covers every product and set instead of the selected set
+let globalResults = []; // [{ card, product, set }] behind the rows of a global search
+let browseFilter = null; // { label, match(ctx) } from a stats row; Browse lists the owned cards it matches
 
 // Locked fields (browse mode only, session-only — not persisted)
 let lockedFields = {
@@ -27,8 +50,12 @@ let session = {
   selectedParallels: [], // parallel names chosen at setup
   activeSet: null,       // current set object (active tab)
   activeParallel: null,  // current parallel name (active chip)
-  entries: [],           // [{card_number, set, parallel, id (pending db id)}]
+  entries: [],           // [{card_number, set, parallel, id (pending db id), box?, pack?, batch?}]
+  started_at: null,      // ISO timestamp
+  breaks: [],            // [{box, type, cost, packs}] boxes opened, last one is current
 };
+let sessionHistory = []; // finished sessions from the sessions store, newest first
+let exportHistory = [];  // export batches from the exports store, newest first
 let sessLongPressTimer = null;
 let sessSheetContext = null; // { card, set } when add-sheet opened from session long-press
 
@@ -39,6 +66,7 @@ const productSelect  = $('productSelect');
 const setSelect      = $('setSelect');
 const cardSearch     = $('cardSearch');
 const cardList       = $('cardList');
+const setSummary     = $('setSummary');
 const pendingBadge   = $('pendingBadge');
 const pendingListEl  = $('pendingList');
 const catalogInfo    = $('catalogInfo');
@@ -51,6 +79,7 @@ const sessParallelPicker  = $('sessParallelPicker');
 const sessLocationPicker  = $('sessLocationPicker');
 const sessSetup          = $('sessionSetup');
 const sessActive         = $('sessionActive');
+const sessSummary        = $('sessionSummary');
 const sessProductLabel   = $('sessProductLabel');
 const sessLocationLabel  = $('sessLocationLabel');
 const sessCountLabel     = $('sessCountLabel');
@@ -67,20 +96,41 @@ const sheetSubtitle  = $('sheetSubtitle');
 const parallelPicker = $('parallelPicker');
 const qtyInput       = $('qtyInput');
 const serialInput    = $('serialInput');
-const gradeSelect    = $('gradeSelect');
+const gradePicker    = $('gradePicker');
 const locationPicker = $('locationPicker');
 const statusPicker   = $('statusPicker');
 const pricePicker    = $('pricePicker');
 const notesInput     = $('notesInput');
 
+// Collection DOM refs
+const compSportSelect   = $('compSportSelect');
+const compProductSelect = $('compProductSelect');
+const compSetFilter     = $('compSetFilter');
+const compCardFilter    = $('compCardFilter');
+const compSummary       = $('compSummary');
+const compSetList       = $('compSetList');
+
+const detailOverlay  = $('detailOverlay');
+const detailSheet    = $('detailSheet');
+const detailBody     = $('detailBody');
+
+// Pending change actions besides 'add' — applied to an owned copy on the desktop
+const CHANGE_ACTIONS = {
+  remove:       'Remove',
+  sell:         'Sold',
+  update_grade: 'Grade',
+  update_tags:  'Tags',
+};
+
 // ── Init ──
 async function init() {
   // Register service worker
   if ('serviceWorker' in navigator) {
     navigator.serviceWorker.register('./sw.js').catch(() => {});
 
-    // Listen for SW update messages
+    // Listen for SW update and sync messages
     navigator.serviceWorker.addEventListener('message', event => {
+      if (event.data && event.data.type === 'SYNC_ACKED') onSyncAcked(event.data.export_id, event.source);
       if (event.data && event.data.type === 'SW_UPDATED') {
         showToast('New version available — tap to reload', 10000);
         const toast = document.getElementById('toast');
@@ -92,6 +142,8 @@ async function init() {
     });
   }
 
+  onDBBlocked(() => showToast('Updating saved data — close this app in your other tabs to continue.', 10000));
+
   // Request persistent storage
   if (navigator.storage && navigator.storage.persist) {
     navigator.storage.persist().then(granted => {
@@ -102,16 +154,12 @@ async function init() {
     });
   }
 
-  // Load catalog from IndexedDB if previously saved
-  const saved = await getCatalog();
-  if (saved) {
-    catalog = saved;
-    onCatalogLoaded();
-  }
+  await loadProfiles();
+  await loadActiveProfile();
 
-  // Load pending list
-  pendingList = await getAllPending();
-  updatePendingBadge();
+  // Queued syncs go out again whenever the app starts or comes back online
+  retrySync();
+  window.addEventListener('online', retrySync);
 
   // Wire up tabs
   document.querySelectorAll('.tab-bar button').forEach(btn => {
@@ -119,7 +167,9 @@ async function init() {
   });
 
   // Wire up catalog loader
+  $('addProfileBtn').addEventListener('click', () => openProfileForm());
   $('fetchCatalogBtn').addEventListener('click', onFetchCatalog);
+  $('whatsNewBtn').addEventListener('click', openWhatsNewSheet);
   $('loadCatalogBtn').addEventListener('click', () => $('catalogFile').click());
   $('catalogFile').addEventListener('change', onCatalogFileSelected);
 
@@ -128,16 +178,47 @@ async function init() {
   productSelect.addEventListener('change', onProductChanged);
   setSelect.addEventListener('change', onSetChanged);
   cardSearch.addEventListener('input', onSearchInput);
+  $('globalSearchBtn').addEventListener('click', toggleGlobalSearch);
+
+  // Wire up collection views
+  document.querySelectorAll('#collectionViewBar .sess-chip-btn').forEach(btn => {
+    btn.addEventListener('click', () => switchCollectionView(btn.dataset.view));
+  });
+  compSportSelect.addEventListener('change', onCompSportChanged);
+  compProductSelect.addEventListener('change', renderCompletion);
+  wireTagGroup(compSetFilter);
+  wireTagGroup(compCardFilter);
+  compSetFilter.addEventListener('click', renderCompletion);
+  compCardFilter.addEventListener('click', renderCompletion);
+  wireTagGroup($('valueGroupBy'));
+  $('valueGroupBy').addEventListener('click', renderValue);
+  $('compExportBtn').addEventListener('click', () => {
+    const product = getCompProduct();
+    if (product) openMissingSheet(product, getCompSets(product));
+  });
 
   // Wire up sheet
   sheetOverlay.addEventListener('click', closeSheet);
+  detailOverlay.addEventListener('click', closeDetailSheet);
   $('qtyDown').addEventListener('click', () => { qtyInput.value = Math.max(1, +qtyInput.value - 1); });
   $('qtyUp').addEventListener('click', () => { qtyInput.value = Math.min(99, +qtyInput.value + 1); });
-  $('confirmAddBtn').addEventListener('click', onConfirmAdd);
+  $('confirmAddBtn').addEventListener('click', () => onConfirmAdd());
 
   // Wire up pending actions
+  const pendingFilter = $('pendingActionFilter');
+  $('pendingProductFilter').addEventListener('change', renderPendingList);
+  wireTagGroup(pendingFilter);
+  pendingFilter.addEventListener('click', renderPendingList);
+  wireTagGroup($('pendingStatusFilter'));
+  $('pendingStatusFilter').addEventListener('click', renderPendingList);
+  $('exportHistoryBtn').addEventListener('click', openExportHistory);
+  wireTagGroup($('exportFormat'));
   $('exportBtn').addEventListener('click', onExport);
+  $('syncBtn').addEventListener('click', onSync);
   $('clearBtn').addEventListener('click', onClearAll);
+  $('importChangesBtn').addEventListener('click', () => $('changesFile').click());
+  $('changesFile').addEventListener('change', onChangesFileSelected);
+  $('pasteTextBtn').addEventListener('click', () => openPasteSheet());
 
   // Wire up lock buttons
   document.querySelectorAll('.lock-btn').forEach(btn => {
@@ -158,8 +239,23 @@ async function init() {
   $('sessParClear').addEventListener('click', () => { clearAllChips(sessParallelPicker); });
   $('startSessionBtn').addEventListener('click', startSession);
   $('endSessionBtn').addEventListener('click', endSession);
+  $('sessBackBtn').addEventListener('click', showActiveSession);
+  $('nextPackBtn').addEventListener('click', nextPack);
+  $('nextBoxBtn').addEventListener('click', openBoxForm);
+  $('sessBreakReportBtn').addEventListener('click', () => {
+    const products = sessProductSelect._products || [];
+    const product = products[sessProductSelect.value];
+    if (product) openPullRateReport(product);
+    else showToast('Select a product.');
+  });
+  $('sessApplyTagsBtn').addEventListener('click', applySessionBulkTags);
+  $('sessFinishBtn').addEventListener('click', finishSession);
   undoBtn.addEventListener('click', undoLastSessionAdd);
   sessCardSearch.addEventListener('input', renderSessionCards);
+  $('sessQuickBtn').addEventListener('click', openQuickEntryPreview);
+  $('sessQuickInput').addEventListener('keydown', e => {
+    if (e.key === 'Enter') openQuickEntryPreview();
+  });
 }
 
 // ── Tabs ──
@@ -168,6 +264,206 @@ function switchTab(name) {
   document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
   $(name + 'Panel').classList.add('active');
   if (name === 'pending') renderPendingList();
+  if (name === 'session' && session.active) renderSessionCards();
+  if (name === 'collection') renderCollectionView();
+}
+
+// ── Catalog Profiles ──
+// Each catalog source is a profile with its own stored catalog. Pending changes,
+// wants and sessions are tagged with the profile they were made under; records
+// without a tag predate profiles and belong to the default one.
+const CATALOG_URL = 'https://raw.githubusercontent.com/L3CMzGbhXrp2tchexhF/card-tracker-pwa/main/data/catalog.json';
+const DEFAULT_PROFILE_ID = 'data'; // also the catalog store key of the original single catalog
+
+async function loadProfiles() {
+  try {
+    profiles = (await getMeta('profiles')) || [];
+    activeProfileId = (await getMeta('activeProfile')) || DEFAULT_PROFILE_ID;
+  } catch (err) {
+    console.warn('Failed to load catalog sources', err);
+  }
+  if (!profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+    profiles.unshift({ id: DEFAULT_PROFILE_ID, name: 'Default', url: CATALOG_URL, auth_header: '' });
+  }
+  if (!profiles.some(p => p.id === activeProfileId)) activeProfileId = DEFAULT_PROFILE_ID;
+}
+
+function getActiveProfile() {
+  return profiles.find(p => p.id === activeProfileId);
+}
+
+// Meta key for per-profile state; the default profile keeps the original names
+function profileKey(name, id = activeProfileId) {
+  return id === DEFAULT_PROFILE_ID ? name : `${name}:${id}`;
+}
+
+function inProfile(record, id = activeProfileId) {
+  return (record.profile || DEFAULT_PROFILE_ID) === id;
+}
+
+// Load everything scoped to the active profile
+async function loadActiveProfile() {
+  catalog = await getCatalog(activeProfileId);
+  if (catalog) onCatalogLoaded();
+  else onCatalogCleared();
+
+  // Load want list before pending so the first render shows want markers
+  wantList = (await getAllWants()).filter(w => inProfile(w));
+
+  // Load pending list
+  pendingList = (await getAllPending()).filter(e => inProfile(e));
+  onPendingChanged();
+
+  catalogDiff = await getMeta(profileKey('catalogDiff'));
+  renderWhatsNew();
+  renderProfiles();
+
+  // Drop back into a session that was active when the app was closed or reloaded
+  if (catalog) await restoreSession();
+  await loadSessionHistory();
+  await loadExportHistory();
+}
+
+async function switchProfile(id) {
+  if (id === activeProfileId) return;
+  // An active session stays saved under its profile and resumes when switching back
+  clearSessionState();
+  unlockAllFields();
+  expandedRainbows.clear();
+  resetBrowseSearch();
+  activeProfileId = id;
+  try {
+    await putMeta('activeProfile', id);
+    await loadActiveProfile();
+  } catch (err) {
+    showToast('Failed to switch catalog source: ' + err.message, 3000);
+    return;
+  }
+  showToast(`Using ${getActiveProfile().name}.`);
+}
+
+async function saveProfiles() {
+  await putMeta('profiles', profiles);
+  renderProfiles();
+}
+
+function renderProfiles() {
+  const el = $('profileList');
+  el.innerHTML = profiles.map(p => `
+    <div class="pending-item" data-id="${esc(p.id)}">
+      <div class="pending-info">
+        <div class="pending-title">${esc(p.name)}${p.id === activeProfileId ? ' <span class="pending-action">Active</span>' : ''}</div>
+        <div class="pending-sub">${p.url ? esc(p.url) : 'No URL — load catalog files manually'}${p.auth_header ? ' · auth' : ''}${p.sync_url ? ' · sync' : ''}</div>
+      </div>
+      <button class="link-btn profile-edit">Edit</button>
+    </div>`).join('');
+
+  el.querySelectorAll('.pending-item').forEach(row => {
+    const profile = profiles.find(p => p.id === row.dataset.id);
+    row.addEventListener('click', () => switchProfile(profile.id));
+    row.querySelector('.profile-edit').addEventListener('click', e => {
+      e.stopPropagation();
+      openProfileForm(profile);
+    });
+  });
+}
+
+function openProfileForm(existing = null) {
+  const isDefault = existing && existing.id === DEFAULT_PROFILE_ID;
+  const body = openDetailSheet(
+    existing ? 'Edit Catalog Source' : 'Add Catalog Source',
+    'Each source keeps its own catalog, pending changes, wants and sessions.',
+    `
+    <label>Name</label>
+    <input id="profileName" type="text" placeholder="e.g. Shop inventory" value="${existing ? esc(existing.name) : ''}">
+    <label>Catalog URL</label>
+    <input id="profileUrl" type="url" placeholder="https://… or http://192.168.1.20:8000/catalog.json" value="${existing ? esc(existing.url) : ''}">
+    <label>Auth Header</label>
+    <input id="profileAuth" type="text" placeholder="Optional, e.g. Authorization: Bearer …" value="${existing ? esc(existing.auth_header) : ''}">
+    <label>Sync Endpoint</label>
+    <input id="profileSyncUrl" type="url" placeholder="Optional, e.g. http://192.168.1.20:8000/changes" value="${existing ? esc(existing.sync_url) : ''}">
+    <p class="setup-hint">Pending changes are POSTed here with the auth header above.</p>
+    <div class="detail-actions">
+      ${existing && !isDefault ? '<button class="btn btn-red" id="profileDeleteBtn">Delete</button>' : ''}
+      <button class="btn btn-green" id="profileSaveBtn">${existing ? 'Save' : 'Add Source'}</button>
+    </div>`
+  );
+
+  body.querySelector('#profileSaveBtn').addEventListener('click', async () => {
+    const name = $('profileName').value.trim();
+    const url = $('profileUrl').value.trim();
+    const authHeader = $('profileAuth').value.trim();
+    const syncUrl = $('profileSyncUrl').value.trim();
+    if (!name) { showToast('Enter a name.'); return; }
+    if (profiles.some(p => p.name === name && p !== existing)) { showToast('Another source has that name.'); return; }
+    for (const u of [url, syncUrl].filter(Boolean)) {
+      try {
+        new URL(u);
+      } catch {
+        showToast('Enter a full URL, including http:// or https://.', 3000);
+        return;
+      }
+    }
+    if (authHeader && !Object.keys(parseAuthHeader(authHeader)).length) {
+      showToast('Auth header must look like "Name: value".', 3000);
+      return;
+    }
+
+    const profile = { id: existing ? existing.id : crypto.randomUUID(), name, url, auth_header: authHeader, sync_url: syncUrl };
+    const previous = profiles;
+    profiles = existing ? profiles.map(p => p === existing ? profile : p) : [...profiles, profile];
+    try {
+      await saveProfiles();
+    } catch (err) {
+      profiles = previous;
+      showToast('Failed to save source: ' + err.message, 3000);
+      return;
+    }
+    // Validators from the old URL don't describe the new one
+    if (existing && existing.url !== url) await deleteMeta(profileKey('catalogFetch', profile.id));
+    closeDetailSheet();
+    if (!existing) await switchProfile(profile.id);
+  });
+
+  const deleteBtn = body.querySelector('#profileDeleteBtn');
+  if (deleteBtn) deleteBtn.addEventListener('click', () => deleteProfile(existing));
+}
+
+// Remove a profile along with its catalog and everything recorded under it
+async function deleteProfile(profile) {
+  if (profile.id === activeProfileId) {
+    showToast('Switch to another source before deleting this one.', 3000);
+    return;
+  }
+  const [pending, wants, sessions, exports] = await Promise.all([getAllPending(), getAllWants(), getAllSessions(), getAllExports()]);
+  const owned = {
+    pending: pending.filter(e => inProfile(e, profile.id)),
+    wants: wants.filter(w => inProfile(w, profile.id)),
+    sessions: sessions.filter(h => inProfile(h, profile.id)),
+    exports: exports.filter(x => inProfile(x, profile.id)),
+  };
+  const unexported = owned.pending.filter(e => !isExported(e)).length;
+  const message = `Delete "${profile.name}" and its catalog` +
+    (unexported ? `, including ${unexported} unexported change${unexported === 1 ? '' : 's'}` : '') + '?';
+  if (!confirm(message)) return;
+
+  try {
+    await deleteCatalog(profile.id);
+    await Promise.all([
+      ...['catalogFetch', 'catalogDiff', 'session', 'importedExports'].map(name => deleteMeta(profileKey(name, profile.id))),
+      ...owned.pending.map(e => deletePending(e.id)),
+      ...owned.wants.map(w => deleteWant(w.id)),
+      ...owned.sessions.map(h => deleteSession(h.id)),
+      ...owned.exports.map(x => deleteExport(x.id)),
+    ]);
+    profiles = profiles.filter(p => p.id !== profile.id);
+    await saveProfiles();
+  } catch (err) {
+    showToast('Failed to delete source: ' + err.message, 3000);
+    return;
+  }
+  closeDetailSheet();
+  showToast(`Deleted ${profile.name}.`);
 }
 
 // ── Catalog Loading ──
@@ -177,34 +473,64 @@ async function onCatalogFileSelected(e) {
   try {
     const text = await file.text();
     const data = JSON.parse(text);
-    if (!data.products || !data.tags) {
-      showToast('Invalid catalog file. Expected products and tags.');
+    const problems = validateCatalog(data);
+    if (problems.length) {
+      showValidationReport(file.name, problems);
       return;
     }
-    // Check format_version
-    const expectedVersion = 3;
-    if (data.format_version && data.format_version !== expectedVersion) {
-      showToast(`Warning: Catalog format version ${data.format_version} (expected ${expectedVersion}). Loading anyway...`, 4000);
-    }
-    catalog = data;
-    await putCatalog(catalog);
-    onCatalogLoaded();
-    switchTab('browse');
+    await applyCatalog(data);
+    // The next fetch can't be conditional against a catalog it didn't download
+    await deleteMeta(profileKey('catalogFetch'));
+    switchTab(pendingOrphans.size ? 'pending' : 'browse');
+    if (pendingOrphans.size) showToast(orphanNotice(), 4000);
   } catch (err) {
     showToast('Failed to load catalog: ' + err.message, 4000);
+  } finally {
+    e.target.value = '';
   }
-  e.target.value = '';
 }
 
-const CATALOG_URL = 'https://raw.githubusercontent.com/L3CMzGbhXrp2tchexhF/card-tracker-pwa/main/data/catalog.json';
+const VALIDATION_REPORT_LIMIT = 300;
+
+// A rejected catalog leaves the stored one untouched; list every problem found
+function showValidationReport(source, problems) {
+  const body = openDetailSheet(
+    'Catalog Rejected',
+    `${source}: ${problems.length} problem${problems.length === 1 ? '' : 's'}. ${catalog ? 'The previous catalog is still loaded.' : 'No catalog was loaded.'}`,
+    problems.slice(0, VALIDATION_REPORT_LIMIT).map(p => `<div class="diff-item problem-item">${esc(p)}</div>`).join('') +
+    (problems.length > VALIDATION_REPORT_LIMIT ? `<div class="result-note">…and ${problems.length - VALIDATION_REPORT_LIMIT} more</div>` : '') + `
+    <div class="detail-actions">
+      <button class="btn btn-outline" id="copyProblemsBtn">Copy Report</button>
+    </div>`
+  );
+  body.querySelector('#copyProblemsBtn').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(problems.join('\n'));
+      showToast('Report copied.');
+    } catch {
+      showToast('Copy failed.');
+    }
+  });
+}
 
 async function onFetchCatalog() {
+  const profile = getActiveProfile();
+  if (!profile.url) {
+    showToast('This source has no URL. Edit it under Catalog Sources or load a file.', 4000);
+    return;
+  }
   const btn = $('fetchCatalogBtn');
   const origText = btn.textContent;
   btn.disabled = true;
   btn.textContent = 'Fetching...';
   try {
-    const resp = await fetch(CATALOG_URL, { cache: 'no-cache' });
+    // Validators only apply while the catalog they describe is still stored
+    const validators = catalog ? (await getMeta(profileKey('catalogFetch'))) || {} : {};
+    const resp = await fetchConditional(profile.url, validators, parseAuthHeader(profile.auth_header));
+    if (resp.status === 304) {
+      showToast('Catalog is already up to date.', 3000);
+      return;
+    }
     if (!resp.ok) {
       if (resp.status === 404) {
         showToast('No catalog deployed yet. Use the desktop app to deploy first.', 4000);
@@ -213,24 +539,42 @@ async function onFetchCatalog() {
       }
       return;
     }
-    const data = await resp.json();
-    if (!data.products || !data.tags) {
-      showToast('Invalid catalog. Expected products and tags.', 4000);
+    const text = await resp.text();
+    const fetchMeta = {
+      etag: resp.headers.get('ETag'),
+      last_modified: resp.headers.get('Last-Modified'),
+      hash: await sha256Hex(text),
+    };
+    // Servers without validators still send the same bytes for an unchanged catalog
+    if (validators.hash && validators.hash === fetchMeta.hash) {
+      await putMeta(profileKey('catalogFetch'), fetchMeta);
+      showToast('Catalog is already up to date.', 3000);
       return;
     }
-    const expectedVersion = 3;
-    if (data.format_version && data.format_version !== expectedVersion) {
-      showToast(`Warning: Catalog format version ${data.format_version} (expected ${expectedVersion}). Loading anyway...`, 4000);
+
+    const data = JSON.parse(text);
+    const problems = validateCatalog(data);
+    if (problems.length) {
+      showValidationReport('Fetched catalog', problems);
+      return;
+    }
+    const hadCatalog = !!catalog;
+    const diffSaved = await applyCatalog(data);
+    await putMeta(profileKey('catalogFetch'), fetchMeta);
+    if (pendingOrphans.size) {
+      switchTab('pending');
+      showToast(orphanNotice(), 4000);
+      return;
     }
-    catalog = data;
-    await putCatalog(catalog);
-    onCatalogLoaded();
     switchTab('browse');
+    // Keep the save failure on screen instead of the summary
+    if (!diffSaved) return;
 
     const nProducts = catalog.products.length;
     let nCards = 0;
     catalog.products.forEach(p => p.sets.forEach(s => { nCards += s.cards.length; }));
-    showToast(`Catalog loaded: ${nProducts} products, ${nCards} cards`, 3000);
+    const changed = hadCatalog && catalogDiff && !isEmptyDiff(catalogDiff) ? ' — see What\'s New in Settings' : '';
+    showToast(`Catalog loaded: ${nProducts} products, ${nCards} cards${changed}`, 3000);
   } catch (err) {
     showToast('Failed to fetch catalog: ' + err.message, 4000);
   } finally {
@@ -239,14 +583,125 @@ async function onFetchCatalog() {
   }
 }
 
+// Conditional GET using the validators from the last fetch. If the extra headers
+// are rejected (e.g. a host that fails the CORS preflight), retry with only auth.
+async function fetchConditional(url, validators, auth = {}) {
+  const headers = { ...auth };
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.last_modified) headers['If-Modified-Since'] = validators.last_modified;
+  if (Object.keys(headers).length > Object.keys(auth).length) {
+    try {
+      return await fetch(url, { cache: 'no-store', headers });
+    } catch {
+      // Fall through to a plain request
+    }
+  }
+  return fetch(url, { cache: 'no-cache', headers: auth });
+}
+
+// "Authorization: Bearer abc" → { Authorization: 'Bearer abc' }
+function parseAuthHeader(line) {
+  const i = (line || '').indexOf(':');
+  if (i <= 0) return {};
+  return { [line.slice(0, i).trim()]: line.slice(i + 1).trim() };
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Store a newly loaded catalog, recording what changed since the previous one.
+// Resolves false when that record couldn't be saved (the failure is already shown).
+async function applyCatalog(data) {
+  const previous = catalog;
+  await putCatalog(data, activeProfileId);
+  catalog = data;
+  let diffSaved = true;
+  if (previous) {
+    catalogDiff = {
+      generated_at: new Date().toISOString(),
+      from_exported_at: previous.exported_at || null,
+      to_exported_at: data.exported_at || null,
+      ...diffCatalogs(previous, data),
+    };
+    // The catalog itself is stored, so a failed save only loses What's New after a reload
+    try {
+      await putMeta(profileKey('catalogDiff'), catalogDiff);
+    } catch (err) {
+      diffSaved = false;
+      showToast('Catalog loaded, but What\'s New couldn\'t be saved: ' + err.message, 4000);
+    }
+    renderWhatsNew();
+  }
+  onCatalogLoaded();
+  return diffSaved;
+}
+
+// ── What's New ──
+const DIFF_SECTIONS = [
+  ['products', 'added', 'New products'],
+  ['products', 'removed', 'Removed products'],
+  ['sets', 'added', 'New sets'],
+  ['sets', 'removed', 'Removed sets'],
+  ['cards', 'added', 'Cards added'],
+  ['cards', 'removed', 'Cards removed'],
+  ['parallels', 'added', 'Parallels added'],
+  ['parallels', 'removed', 'Parallels removed'],
+  ['collection', 'added', 'Collection added'],
+  ['collection', 'removed', 'Collection removed'],
+  ['collection', 'changed', 'Collection quantity changes'],
+  ['prices', 'changed', 'Price changes'],
+];
+const DIFF_DETAIL_LIMIT = 200;
+
+function renderWhatsNew() {
+  const section = $('whatsNewSection');
+  if (!catalogDiff) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = '';
+  const when = new Date(catalogDiff.generated_at).toLocaleString();
+  if (isEmptyDiff(catalogDiff)) {
+    $('whatsNewInfo').textContent = `Last update ${when}: no changes.`;
+    $('whatsNewBtn').style.display = 'none';
+    return;
+  }
+  $('whatsNewInfo').textContent = `Last update ${when}\n` + DIFF_SECTIONS
+    .filter(([group, kind]) => catalogDiff[group][kind].length)
+    .map(([group, kind, label]) => `${label}: ${catalogDiff[group][kind].length}`)
+    .join('\n');
+  $('whatsNewBtn').style.display = '';
+}
+
+function openWhatsNewSheet() {
+  if (!catalogDiff) return;
+  const range = [catalogDiff.from_exported_at, catalogDiff.to_exported_at].every(Boolean)
+    ? `Exported ${catalogDiff.from_exported_at} → ${catalogDiff.to_exported_at}`
+    : new Date(catalogDiff.generated_at).toLocaleString();
+  openDetailSheet("What's New", range, DIFF_SECTIONS
+    .filter(([group, kind]) => catalogDiff[group][kind].length)
+    .map(([group, kind, label]) => {
+      const items = catalogDiff[group][kind];
+      return `<div class="result-group">${label} (${items.length})</div>` +
+        items.slice(0, DIFF_DETAIL_LIMIT).map(item => `<div class="diff-item">${
+          typeof item === 'string' ? esc(item) : `${esc(item.label)}: ${money(item.from)} → ${money(item.to)}`
+        }</div>`).join('') +
+        (items.length > DIFF_DETAIL_LIMIT ? `<div class="result-note">…and ${items.length - DIFF_DETAIL_LIMIT} more</div>` : '');
+    }).join(''));
+}
+
 function buildOwnedMap() {
   ownedMap.clear();
   if (!catalog || !catalog.collection) return;
   for (const entry of catalog.collection) {
     const cardKey = `${entry.product}|${entry.set}|${entry.card_number}`;
+    const parallel = entry.parallel || 'Base';
     const existing = ownedMap.get(cardKey);
     if (existing) {
       existing.qty += entry.quantity;
+      existing.parallels.set(parallel, (existing.parallels.get(parallel) || 0) + entry.quantity);
       // Keep highest price / first grade found
       if (!existing.median_price && entry.median_price) {
         existing.median_price = entry.median_price;
@@ -259,13 +714,33 @@ function buildOwnedMap() {
         qty: entry.quantity,
         median_price: entry.median_price || null,
         grade: entry.grade || null,
+        parallels: new Map([[parallel, entry.quantity]]),
       });
     }
   }
 }
 
+// Pending adds overlaid on the collection until the next catalog round-trip
+function buildPendingOwnedMap(excludeIds = null) {
+  const map = new Map();
+  pendingList.forEach(e => {
+    if (e.action !== 'add' || (excludeIds && excludeIds.has(e.id))) return;
+    const cardKey = `${e.product}|${e.set}|${e.card_number}`;
+    let entry = map.get(cardKey);
+    if (!entry) {
+      entry = { qty: 0, parallels: new Map() };
+      map.set(cardKey, entry);
+    }
+    entry.qty += e.quantity;
+    entry.parallels.set(e.parallel, (entry.parallels.get(e.parallel) || 0) + e.quantity);
+  });
+  return map;
+}
+
 function onCatalogLoaded() {
   buildOwnedMap();
+  clearFulfilledWants();
+  reconcilePending();
 
   // Update catalog info display
   const nProducts = catalog.products.length;
@@ -295,13 +770,32 @@ function onCatalogLoaded() {
 
   // Populate session location picker
   buildTagPicker(sessLocationPicker, catalog.tags.location || []);
+
+  // Populate completion dropdowns
+  compSportSelect.innerHTML = '<option value="">All Sports</option>' +
+    sports.map(s => `<option value="${esc(s)}">${esc(s)}</option>`).join('');
+  onCompSportChanged();
+}
+
+// A profile with no catalog yet: empty every catalog-driven picker
+function onCatalogCleared() {
+  ownedMap.clear();
+  reconcilePending();
+  catalogInfo.textContent = 'No catalog loaded.';
+  const noSports = '<option value="">-- Load catalog first --</option>';
+  sportSelect.innerHTML = noSports;
+  sessSportSelect.innerHTML = noSports;
+  compSportSelect.innerHTML = noSports;
+  onSportChanged();
+  onSessSportChanged();
+  onCompSportChanged();
+  sessLocationPicker.innerHTML = '';
 }
 
 // ── Cascade Dropdowns ──
 function onSportChanged() {
-  if (!catalog) return;
   const sport = sportSelect.value;
-  const products = catalog.products
+  const products = (catalog ? catalog.products : [])
     .filter(p => !sport || p.sport === sport)
     .sort((a, b) => b.year.localeCompare(a.year) || a.name.localeCompare(b.name));
   productSelect.innerHTML = '<option value="">-- Select Product --</option>' +
@@ -316,8 +810,9 @@ function onProductChanged() {
   const idx = productSelect.value;
   if (idx === '' || !products[idx]) {
     setSelect.innerHTML = '<option value="">--</option>';
-    currentCards = [];
-    renderCards();
+    setSelect._sets = [];
+    setSelect._product = null;
+    onSetChanged();
     return;
   }
   const product = products[idx];
@@ -339,34 +834,310 @@ function onSetChanged() {
   }
   currentSet = sets[idx];
   currentCards = currentSet.cards;
+  browseFilter = null;
   cardSearch.value = '';
+  expandedRainbows.clear();
   renderCards();
 }
 
 // ── Search ──
 function onSearchInput() {
+  browseFilter = null;
   clearTimeout(searchDebounceTimer);
   searchDebounceTimer = setTimeout(() => {
     renderCards();
   }, 150);
 }
 
+// ── Rainbow ──
+// Owned/total card+parallel combinations for a set
+// Pending adds count toward progress; `pending` reports how much of it is unconfirmed.
+function getRainbowProgress(product, set) {
+  let owned = 0;
+  let cardsOwned = 0;
+  let pending = 0;
+  set.cards.forEach(c => {
+    const key = `${product.name}|${set.name}|${c.number}`;
+    const entry = ownedMap.get(key);
+    const pend = pendingOwnedMap.get(key);
+    if (!entry && !pend) return;
+    cardsOwned++;
+    set.parallels.forEach(p => {
+      if (entry && entry.parallels.has(p.name)) owned++;
+      else if (pend && pend.parallels.has(p.name)) { owned++; pending++; }
+    });
+  });
+  return { owned, pending, total: set.cards.length * set.parallels.length, cardsOwned, cards: set.cards.length };
+}
+
+function renderSetSummary() {
+  const product = setSelect._product;
+  if (!currentSet || !product || !currentSet.parallels.length) {
+    setSummary.style.display = 'none';
+    return;
+  }
+  const r = getRainbowProgress(product, currentSet);
+  const pct = r.total ? Math.floor(r.owned / r.total * 100) : 0;
+  setSummary.style.display = '';
+  setSummary.innerHTML = `
+    <span>Cards ${r.cardsOwned}/${r.cards}</span>
+    <span>Rainbow ${r.owned}/${r.total} (${pct}%)${r.pending ? ` · ${r.pending} pending` : ''}</span>
+    <div class="progress"><div class="progress-fill" style="width:${pct}%"></div></div>`;
+}
+
+function renderRainbowStrip(set, ownedEntry, pendingEntry) {
+  return set.parallels.map(p => {
+    const qty = ownedEntry ? ownedEntry.parallels.get(p.name) || 0 : 0;
+    const pendQty = pendingEntry ? pendingEntry.parallels.get(p.name) || 0 : 0;
+    const cls = qty ? ' owned' : pendQty ? ' pending' : '';
+    const style = p.color_hex ? `border-color:${p.color_hex};${qty ? `background:${p.color_hex}33` : ''}` : '';
+    return `<span class="rainbow-chip${cls}" style="${style}">${esc(p.name)}${p.serial_numbered ? ' /' + p.serial_numbered : ''}${qty > 1 ? ' x' + qty : ''}${pendQty ? ' +' + pendQty : ''}</span>`;
+  }).join('');
+}
+
+// Confirmed copies get the solid badge; pending adds a dashed "+N" next to it
+function renderOwnedBadges(ownedEntry, pendingEntry) {
+  return (ownedEntry && ownedEntry.qty > 0 ? `<span class="owned-badge">${ownedEntry.qty}</span>` : '') +
+    (pendingEntry && pendingEntry.qty > 0 ? `<span class="owned-badge pending" title="Pending export">+${pendingEntry.qty}</span>` : '');
+}
+
+function cardMatchesQuery(c, query) {
+  return (c.player || '').toLowerCase().includes(query) ||
+    c.number.toLowerCase().includes(query) ||
+    (c.team || '').toLowerCase().includes(query) ||
+    (c.card_name && c.card_name.toLowerCase().includes(query));
+}
+
+function toggleGlobalSearch() {
+  browseFilter = null;
+  setGlobalSearch(!globalSearch);
+  renderCards();
+  cardSearch.focus();
+}
+
+function setGlobalSearch(on) {
+  globalSearch = on;
+  $('globalSearchBtn').classList.toggle('active', globalSearch);
+  cardSearch.placeholder = globalSearch ? 'Search all products and sets...' : 'Search player name...';
+}
+
+// Another profile's stats filter or search doesn't carry over
+function resetBrowseSearch() {
+  browseFilter = null;
+  setGlobalSearch(false);
+  cardSearch.value = '';
+}
+
+// Owned cards open their copies; everything else goes straight to the add sheet
+function onCardRowTap(card, product, set) {
+  if (getOwnedCopies(product.name, set.name, card.number).length) {
+    openOwnedSheet(card, product, set);
+  } else {
+    openAddSheet(card, product, set);
+  }
+}
+
+// ── Global Search ──
+const GLOBAL_SEARCH_LIMIT = 200;
+
+function renderGlobalResults() {
+  setSummary.style.display = 'none';
+  const query = cardSearch.value.toLowerCase().trim();
+  if (query.length < 2) {
+    globalResults = [];
+    cardList.innerHTML = '<div class="empty-state"><div class="icon">&#x1F50D;</div><p>Type a player, team or card number to search every product and set.</p></div>';
+    return;
+  }
+
+  const total = collectResults(card => cardMatchesQuery(card, query));
+  if (!globalResults.length) {
+    cardList.innerHTML = `<div class="empty-state"><p>No cards matching "${esc(query)}" in any set</p></div>`;
+    return;
+  }
+  renderResultRows(total > globalResults.length
+    ? `<div class="result-note">Showing first ${globalResults.length} of ${total} matches. Refine your search to see more.</div>`
+    : `<div class="result-note">${total} match${total === 1 ? '' : 'es'}</div>`);
+}
+
+// Fills globalResults (newest products first, capped) and returns the uncapped match count
+function collectResults(match) {
+  const products = [...catalog.products]
+    .sort((a, b) => b.year.localeCompare(a.year) || a.name.localeCompare(b.name));
+  let total = 0;
+  globalResults = [];
+  products.forEach(product => product.sets.forEach(set => set.cards.forEach(card => {
+    if (!match(card, product, set)) return;
+    total++;
+    if (globalResults.length < GLOBAL_SEARCH_LIMIT) globalResults.push({ card, product, set });
+  })));
+  return total;
+}
+
+// Owned cards with at least one collection copy passing the stats filter
+function renderFilteredResults() {
+  setSummary.style.display = 'none';
+  const copies = new Map();
+  catalog.collection.forEach(entry => {
+    const key = `${entry.product}|${entry.set}|${entry.card_number}`;
+    if (!copies.has(key)) copies.set(key, []);
+    copies.get(key).push(entry);
+  });
+  const total = collectResults((card, product, set) => {
+    const entries = copies.get(`${product.name}|${set.name}|${card.number}`) || [];
+    return entries.some(entry => browseFilter.match({
+      entry, product, set, card, parallel: set.parallels.find(p => p.name === (entry.parallel || 'Base')),
+    }));
+  });
+  const banner = `
+    <div class="result-note">
+      Owned · ${esc(browseFilter.label)} — ${total > globalResults.length ? `first ${globalResults.length} of ` : ''}${total} card${total === 1 ? '' : 's'}
+      <button class="link-btn" id="clearBrowseFilterBtn">Clear</button>
+    </div>`;
+  if (!globalResults.length) cardList.innerHTML = banner + '<div class="empty-state"><p>No owned cards match.</p></div>';
+  else renderResultRows(banner);
+  $('clearBrowseFilterBtn').addEventListener('click', () => {
+    browseFilter = null;
+    renderCards();
+  });
+}
+
+function renderResultRows(header) {
+  let html = header;
+  let lastGroup = null;
+  globalResults.forEach(({ card: c, product, set }, i) => {
+    const group = `${product.year} ${product.name} — ${set.name}`;
+    if (group !== lastGroup) {
+      html += `<div class="result-group">${esc(group)}</div>`;
+      lastGroup = group;
+    }
+    const cardKey = `${product.name}|${set.name}|${c.number}`;
+    const ownedEntry = ownedMap.get(cardKey);
+    const pendingEntry = pendingOwnedMap.get(cardKey);
+    html += `
+    <div class="card-item${ownedEntry || pendingEntry ? ' owned' : ''}" data-idx="${i}">
+      <span class="card-num">${esc(c.number)}</span>
+      <div class="card-info">
+        <div class="card-player">${c.player ? entityLink('player', c.player) : esc(c.card_name || '(no player)')}</div>
+        <div class="card-team">${entityLink('team', c.team)}</div>
+      </div>
+      ${c.sp ? '<span class="card-sp">SP</span>' : ''}
+      ${c.rookie ? '<span class="card-rc">RC</span>' : ''}
+      ${renderOwnedBadges(ownedEntry, pendingEntry)}
+    </div>`;
+  });
+  cardList.innerHTML = html;
+  wireEntityLinks(cardList);
+
+  cardList.querySelectorAll('.card-item').forEach(el => {
+    el.addEventListener('click', () => {
+      const r = globalResults[+el.dataset.idx];
+      if (r) onCardRowTap(r.card, r.product, r.set);
+    });
+  });
+}
+
+// ── Player & Team Pages ──
+// Every checklist card for one player or team, across all products and years.
+// Names in card rows link here; rows here open the card like a Browse tap.
+const ENTITY_LABELS = { player: 'Player', team: 'Team' };
+
+function entityLink(kind, name) {
+  if (!name) return '';
+  return `<span class="entity-link" data-kind="${kind}" data-name="${esc(name)}">${esc(name)}</span>`;
+}
+
+function wireEntityLinks(container) {
+  container.querySelectorAll('.entity-link').forEach(el => {
+    el.addEventListener('click', ev => {
+      ev.stopPropagation();
+      openEntityPage(el.dataset.kind, el.dataset.name);
+    });
+  });
+}
+
+function openEntityPage(kind, name) {
+  if (!catalog) return;
+  const key = name.trim().toLowerCase();
+  const matches = [];
+  [...catalog.products]
+    .sort((a, b) => b.year.localeCompare(a.year) || a.name.localeCompare(b.name))
+    .forEach(product => product.sets.forEach(set => set.cards.forEach(card => {
+      if ((card[kind] || '').trim().toLowerCase() === key) matches.push({ card, product, set });
+    })));
+
+  let cardsOwned = 0;
+  let parallelsOwned = 0;
+  let parallelsTotal = 0;
+  let lastGroup = null;
+  const rows = matches.map(({ card: c, product, set }, i) => {
+    const cardKey = `${product.name}|${set.name}|${c.number}`;
+    const ownedEntry = ownedMap.get(cardKey);
+    const pendingEntry = pendingOwnedMap.get(cardKey);
+    const owned = set.parallels.filter(p =>
+      (ownedEntry && ownedEntry.parallels.has(p.name)) || (pendingEntry && pendingEntry.parallels.has(p.name))
+    ).length;
+    if (ownedEntry || pendingEntry) cardsOwned++;
+    parallelsOwned += owned;
+    parallelsTotal += set.parallels.length;
+
+    const group = `${product.year} ${product.name} — ${set.name}`;
+    const header = group !== lastGroup ? `<div class="result-group">${esc(group)}</div>` : '';
+    lastGroup = group;
+    return `${header}
+    <div class="card-item${ownedEntry || pendingEntry ? ' owned' : ''}" data-idx="${i}">
+      <span class="card-num">${esc(c.number)}</span>
+      <div class="card-info">
+        <div class="card-player">${kind === 'player' ? esc(c.player) : c.player ? entityLink('player', c.player) : esc(c.card_name || '(no player)')}</div>
+        <div class="card-team">${kind === 'team' ? esc(c.team) : entityLink('team', c.team)} · ${owned}/${set.parallels.length} parallels</div>
+      </div>
+      ${c.sp ? '<span class="card-sp">SP</span>' : ''}
+      ${c.rookie ? '<span class="card-rc">RC</span>' : ''}
+      ${renderOwnedBadges(ownedEntry, pendingEntry)}
+    </div>
+    ${owned ? `<div class="rainbow-strip">${renderRainbowStrip(set, ownedEntry, pendingEntry)}</div>` : ''}`;
+  });
+
+  const pct = matches.length ? Math.floor(cardsOwned / matches.length * 100) : 0;
+  const body = openDetailSheet(
+    name,
+    `${ENTITY_LABELS[kind]} — ${matches.length} card${matches.length === 1 ? '' : 's'} · ${cardsOwned} owned (${pct}%) · ${parallelsOwned}/${parallelsTotal} parallels`,
+    matches.length ? rows.join('') : '<div class="empty-state"><p>No cards in the catalog.</p></div>'
+  );
+  wireEntityLinks(body);
+  body.querySelectorAll('.card-item').forEach(el => {
+    el.addEventListener('click', () => {
+      const { card, product, set } = matches[+el.dataset.idx];
+      // The owned sheet reuses this sheet; the add sheet sits on its own
+      if (getOwnedCopies(product.name, set.name, card.number).length) {
+        openOwnedSheet(card, product, set);
+      } else {
+        closeDetailSheet();
+        openAddSheet(card, product, set);
+      }
+    });
+  });
+}
+
 // ── Card Rendering ──
 function renderCards() {
+  if (browseFilter && catalog && catalog.collection) {
+    renderFilteredResults();
+    return;
+  }
+  if (globalSearch && catalog) {
+    renderGlobalResults();
+    return;
+  }
+  renderSetSummary();
   const query = cardSearch.value.toLowerCase().trim();
   let cards = currentCards;
   if (query) {
-    cards = cards.filter(c =>
-      c.player.toLowerCase().includes(query) ||
-      c.number.toLowerCase().includes(query) ||
-      c.team.toLowerCase().includes(query) ||
-      (c.card_name && c.card_name.toLowerCase().includes(query))
-    );
+    cards = cards.filter(c => cardMatchesQuery(c, query));
   }
 
   if (!cards.length) {
     if (!currentSet) {
-      cardList.innerHTML = '<div class="empty-state"><div class="icon">&#x1F4E6;</div><p>Select a product and set above to browse cards.</p></div>';
+      cardList.innerHTML = `<div class="empty-state"><div class="icon">&#x1F4E6;</div><p>${catalog ? 'Select a product and set above to browse cards.' : 'Load a catalog from the Settings tab to get started.'}</p></div>`;
     } else if (query) {
       cardList.innerHTML = `<div class="empty-state"><p>No cards matching "${esc(query)}"</p></div>`;
     } else {
@@ -376,43 +1147,75 @@ function renderCards() {
   }
 
   const product = setSelect._product;
+  const wantedKeys = getWantedKeys();
   cardList.innerHTML = cards.map(c => {
-    const ownedEntry = product ? ownedMap.get(`${product.name}|${currentSet.name}|${c.number}`) : null;
-    const owned = ownedEntry ? ownedEntry.qty : 0;
+    const cardKey = product ? `${product.name}|${currentSet.name}|${c.number}` : null;
+    const ownedEntry = cardKey ? ownedMap.get(cardKey) : null;
+    const pendingEntry = cardKey ? pendingOwnedMap.get(cardKey) : null;
+    const owned = (ownedEntry ? ownedEntry.qty : 0) + (pendingEntry ? pendingEntry.qty : 0);
     const displayName = c.player || c.card_name || '(no player)';
+    const parallelsOwned = currentSet.parallels.filter(p =>
+      (ownedEntry && ownedEntry.parallels.has(p.name)) || (pendingEntry && pendingEntry.parallels.has(p.name))
+    ).length;
+    const expanded = expandedRainbows.has(c.number);
+    const wanted = cardKey && wantedKeys.has(cardKey);
     return `
     <div class="card-item${owned > 0 ? ' owned' : ''}" data-number="${esc(c.number)}">
       <span class="card-num">${esc(c.number)}</span>
       <div class="card-info">
-        <div class="card-player">${esc(displayName)}</div>
-        <div class="card-team">${esc(c.team)}${ownedEntry && ownedEntry.median_price ? ' <span class="card-price">$' + ownedEntry.median_price.toFixed(2) + '</span>' : ''}</div>
+        <div class="card-player">${c.player ? entityLink('player', c.player) : esc(displayName)}</div>
+        <div class="card-team">${entityLink('team', c.team)}${ownedEntry && ownedEntry.median_price ? ' <span class="card-price">$' + ownedEntry.median_price.toFixed(2) + '</span>' : ''}</div>
       </div>
       ${c.sp ? '<span class="card-sp">SP</span>' : ''}
       ${c.rookie ? '<span class="card-rc">RC</span>' : ''}
       ${ownedEntry && ownedEntry.grade ? `<span class="card-grade">${esc(ownedEntry.grade)}</span>` : ''}
-      ${owned > 0 ? `<span class="owned-badge">${owned}</span>` : ''}
-    </div>`;
+      ${renderOwnedBadges(ownedEntry, pendingEntry)}
+      <button class="want-btn${wanted ? ' wanted' : ''}" data-number="${esc(c.number)}" title="Want list">${wanted ? '&#x2605;' : '&#x2606;'}</button>
+      ${currentSet.parallels.length > 1 ? `<button class="rainbow-toggle${expanded ? ' open' : ''}" data-number="${esc(c.number)}">${parallelsOwned}/${currentSet.parallels.length}</button>` : ''}
+    </div>
+    ${expanded ? `<div class="rainbow-strip">${renderRainbowStrip(currentSet, ownedEntry, pendingEntry)}</div>` : ''}`;
   }).join('');
 
+  cardList.querySelectorAll('.want-btn').forEach(btn => {
+    btn.addEventListener('click', ev => {
+      ev.stopPropagation();
+      const card = currentCards.find(c => c.number === btn.dataset.number);
+      if (card) openWantForm(card, product, currentSet);
+    });
+  });
+
+  wireEntityLinks(cardList);
+
+  cardList.querySelectorAll('.rainbow-toggle').forEach(btn => {
+    btn.addEventListener('click', ev => {
+      ev.stopPropagation();
+      const num = btn.dataset.number;
+      if (expandedRainbows.has(num)) expandedRainbows.delete(num);
+      else expandedRainbows.add(num);
+      renderCards();
+    });
+  });
+
   cardList.querySelectorAll('.card-item').forEach(el => {
     el.addEventListener('click', () => {
       const num = el.dataset.number;
       const card = currentCards.find(c => c.number === num);
-      if (card) openAddSheet(card);
+      if (card) onCardRowTap(card, setSelect._product, currentSet);
     });
   });
 }
 
 // ── Add Card Sheet ──
-function openAddSheet(card) {
+function openAddSheet(card, product = setSelect._product, set = currentSet) {
   selectedCard = card;
+  sheetContext = { product, set };
   sheetTitle.textContent = `#${card.number} ${card.player || card.card_name || ''}`;
-
-  const product = setSelect._product;
-  sheetSubtitle.textContent = `${product.name} — ${currentSet.name}`;
+  sheetSubtitle.textContent = `${product.name} — ${set.name}`;
+  $('confirmAddBtn').textContent = 'Add';
+  hideAddWarnings();
 
   // Parallels — respect locked value
-  parallelPicker.innerHTML = currentSet.parallels.map(p => {
+  parallelPicker.innerHTML = set.parallels.map(p => {
     const style = p.color_hex ? `border-color:${p.color_hex}` : '';
     const shouldSelect = lockedFields.parallel
       ? p.name === lockedFields.parallel.value
@@ -426,7 +1229,7 @@ function openAddSheet(card) {
     const base = parallelPicker.querySelector('.tag-chip[data-value]') || parallelPicker.firstElementChild;
     // Prefer the base parallel
     const baseChip = [...parallelPicker.querySelectorAll('.tag-chip')].find(c => {
-      const p = currentSet.parallels.find(pp => pp.name === c.dataset.value);
+      const p = set.parallels.find(pp => pp.name === c.dataset.value);
       return p && p.is_base;
     });
     (baseChip || parallelPicker.firstElementChild).classList.add('selected');
@@ -438,7 +1241,7 @@ function openAddSheet(card) {
   notesInput.value = '';
 
   // Grade — respect locked value
-  gradeSelect.value = lockedFields.grade ? lockedFields.grade.value : '';
+  renderGradePicker(gradePicker, lockedFields.grade ? lockedFields.grade.value : '', {});
 
   // Tags — respect locked values
   buildTagPicker(locationPicker, catalog.tags.location || []);
@@ -460,25 +1263,91 @@ function openAddSheet(card) {
   requestAnimationFrame(() => addSheet.classList.add('visible'));
 }
 
-function closeSheet() {
-  addSheet.classList.remove('visible');
-  setTimeout(() => sheetOverlay.classList.remove('visible'), 300);
-  selectedCard = null;
-  sessSheetContext = null;
-}
+// Reopen the sheet prefilled from an existing pending entry; confirm saves in place
+function openEditSheet(entry) {
+  const product = catalog && catalog.products.find(p => p.name === entry.product);
+  const set = product && product.sets.find(s => s.name === entry.set);
+  const card = set && set.cards.find(c => c.number === entry.card_number);
+  if (!card) {
+    showToast('This card is no longer in the catalog.');
+    return;
+  }
 
-function buildTagPicker(container, tags) {
-  container.innerHTML = '<div class="tag-chip" data-value="">None</div>' +
-    tags.map(t => {
-      const style = t.color_hex ? `border-color:${t.color_hex}` : '';
-      return `<div class="tag-chip" data-value="${esc(t.name)}" style="${style}">${esc(t.name)}</div>`;
-    }).join('');
-  wireTagGroup(container);
-}
+  selectedCard = card;
+  sheetContext = { product, set };
+  editingEntry = entry;
+  sheetTitle.textContent = `#${card.number} ${card.player || card.card_name || ''}`;
+  sheetSubtitle.textContent = `Editing — ${product.name} — ${set.name}`;
+  $('confirmAddBtn').textContent = 'Save';
+  hideAddWarnings();
 
-function wireTagGroup(container) {
-  container.querySelectorAll('.tag-chip').forEach(chip => {
-    chip.addEventListener('click', () => {
+  parallelPicker.innerHTML = set.parallels.map(p => {
+    const selected = p.name === entry.parallel ? ' selected' : '';
+    const style = p.color_hex ? `border-color:${p.color_hex}` : '';
+    return `<div class="tag-chip${selected}" data-value="${esc(p.name)}" style="${style}">${esc(p.name)}${p.serial_numbered ? ' /' + p.serial_numbered : ''}</div>`;
+  }).join('');
+  wireTagGroup(parallelPicker);
+
+  qtyInput.value = entry.quantity || 1;
+  serialInput.value = entry.serial_number || '';
+  renderGradePicker(gradePicker, entry.grade, entry);
+  notesInput.value = entry.notes || '';
+
+  const tags = entry.tags || {};
+  buildTagPicker(locationPicker, catalog.tags.location || []);
+  preselectTag(locationPicker, tags.location || '');
+  buildTagPicker(pricePicker, catalog.tags.price_bucket || []);
+  preselectTag(pricePicker, tags.price_bucket || '');
+  buildTagPicker(statusPicker, catalog.tags.status || []);
+  preselectTag(statusPicker, tags.status || '');
+
+  // Locks only apply to new browse adds
+  document.querySelectorAll('.lock-btn').forEach(b => b.style.display = 'none');
+  $('unlockAllBtn').style.display = 'none';
+
+  sheetOverlay.classList.add('visible');
+  requestAnimationFrame(() => addSheet.classList.add('visible'));
+}
+
+function closeSheet() {
+  addSheet.classList.remove('visible');
+  setTimeout(() => sheetOverlay.classList.remove('visible'), 300);
+  selectedCard = null;
+  sheetContext = null;
+  editingEntry = null;
+  sessSheetContext = null;
+  hideAddWarnings();
+}
+
+// ── Detail Sheet ──
+// General-purpose sheet for lists and small forms; returns the body to wire up
+function openDetailSheet(title, subtitle, html) {
+  $('detailTitle').textContent = title;
+  $('detailSubtitle').textContent = subtitle || '';
+  detailBody.innerHTML = html;
+  detailSheet.scrollTop = 0;
+  detailOverlay.classList.add('visible');
+  requestAnimationFrame(() => detailSheet.classList.add('visible'));
+  return detailBody;
+}
+
+function closeDetailSheet() {
+  detailSheet.classList.remove('visible');
+  setTimeout(() => detailOverlay.classList.remove('visible'), 300);
+}
+
+function buildTagPicker(container, tags) {
+  container.innerHTML = '<div class="tag-chip" data-value="">None</div>' +
+    tags.map(t => {
+      const style = t.color_hex ? `border-color:${t.color_hex}` : '';
+      return `<div class="tag-chip" data-value="${esc(t.name)}" style="${style}">${esc(t.name)}</div>`;
+    }).join('');
+  wireTagGroup(container);
+}
+
+function wireTagGroup(container) {
+  container.querySelectorAll('.tag-chip').forEach(chip => {
+    chip.addEventListener('click', () => {
       container.querySelectorAll('.tag-chip').forEach(c => c.classList.remove('selected'));
       chip.classList.add('selected');
     });
@@ -514,7 +1383,7 @@ function clearAllChips(container) {
 }
 
 // ── Confirm Add ──
-async function onConfirmAdd() {
+async function onConfirmAdd(skipChecks = false) {
   if (!selectedCard) return;
 
   const parallel = getSelected(parallelPicker);
@@ -525,8 +1394,8 @@ async function onConfirmAdd() {
 
   // Determine context: session long-press or browse add
   const fromSession = sessSheetContext !== null;
-  const productName = fromSession ? session.product.name : setSelect._product.name;
-  const setName = fromSession ? sessSheetContext.set.name : currentSet.name;
+  const productName = fromSession ? session.product.name : sheetContext.product.name;
+  const setName = fromSession ? sessSheetContext.set.name : sheetContext.set.name;
 
   const entry = {
     action: 'add',
@@ -538,10 +1407,11 @@ async function onConfirmAdd() {
     team: selectedCard.team,
     quantity: Math.max(1, +qtyInput.value || 1),
     serial_number: serialInput.value.trim() || null,
-    grade: gradeSelect.value || null,
+    ...readGradePicker(gradePicker),
     notes: notesInput.value.trim() || null,
     tags: {},
     added_at: new Date().toISOString(),
+    profile: activeProfileId,
   };
 
   const loc = getSelected(locationPicker);
@@ -551,10 +1421,23 @@ async function onConfirmAdd() {
   if (price) entry.tags.price_bucket = price;
   if (status) entry.tags.status = status;
 
+  if (!skipChecks) {
+    const check = runAddChecks(entry, fromSession ? sessSheetContext.set : sheetContext.set);
+    if (check.warnings.length) {
+      showAddWarnings(check, entry, fromSession);
+      return;
+    }
+  }
+
+  if (editingEntry) {
+    await saveEditedEntry(editingEntry, entry);
+    return;
+  }
+
   const id = await addPending(entry);
   entry.id = id;
   pendingList.push(entry);
-  updatePendingBadge();
+  onPendingChanged();
 
   // Track in session if opened from session long-press
   if (fromSession && session.active) {
@@ -563,9 +1446,11 @@ async function onConfirmAdd() {
       set: setName,
       parallel: parallel,
       id: id,
+      ...currentBreakLink(),
     });
     sessCountLabel.textContent = session.entries.length + ' added';
     undoBtn.style.display = 'block';
+    saveSession();
   }
 
   // Update locked field values with current selections (in case user changed them)
@@ -585,130 +1470,1868 @@ async function onConfirmAdd() {
   }
 }
 
+// ── Add Checks ──
+function runAddChecks(entry, set) {
+  const parallel = set.parallels.find(p => p.name === entry.parallel);
+  const pending = pendingList.filter(e =>
+    e.action === 'add' && e.product === entry.product && e.set === entry.set &&
+    e.card_number === entry.card_number && (!editingEntry || e.id !== editingEntry.id)
+  );
+  const owned = getOwnedCopies(entry.product, entry.set, entry.card_number);
+  const sessionIds = session.active ? new Set(session.entries.map(s => s.id)) : null;
+  return checkAdd(entry, parallel, { pending, owned, sessionIds });
+}
+
+// Warnings sit under the Add button until the user picks a way forward or changes the card
+function showAddWarnings({ warnings, mergeTarget }, entry, fromSession) {
+  const box = $('addWarnings');
+  const canMerge = mergeTarget && !editingEntry;
+  box.innerHTML = warnings.map(w => `<div class="add-warning">${esc(w.message)}</div>`).join('') + `
+    <div class="detail-actions">
+      <button class="btn btn-outline" id="addAnywayBtn">${editingEntry ? 'Save' : 'Add'} Anyway</button>
+      ${canMerge ? `<button class="btn btn-green" id="mergeQtyBtn">Merge into Quantity (x${mergeTarget.quantity + entry.quantity})</button>` : ''}
+    </div>`;
+  box.style.display = '';
+  $('addAnywayBtn').addEventListener('click', () => onConfirmAdd(true));
+  if (canMerge) $('mergeQtyBtn').addEventListener('click', () => mergeIntoPending(mergeTarget, entry.quantity, fromSession));
+}
+
+function hideAddWarnings() {
+  const box = $('addWarnings');
+  box.style.display = 'none';
+  box.innerHTML = '';
+}
+
+async function mergeIntoPending(target, quantity, fromSession) {
+  const updated = { ...target, quantity: target.quantity + quantity };
+  try {
+    await updatePending(updated);
+  } catch (err) {
+    showToast('Failed to merge: ' + err.message, 3000);
+    return;
+  }
+  pendingList = pendingList.map(e => e.id === updated.id ? updated : e);
+  onPendingChanged();
+  closeSheet();
+  if (fromSession) renderSessionCards();
+  showToast(`Merged — now x${updated.quantity}.`);
+}
+
+// Keep the original id and timestamp; everything the sheet shows is replaced
+async function saveEditedEntry(original, fields) {
+  const updated = withExportReset(original, { ...original, ...fields, added_at: original.added_at, id: original.id });
+  try {
+    await updatePending(updated);
+  } catch (err) {
+    showToast('Failed to save changes: ' + err.message, 3000);
+    return;
+  }
+  pendingList = pendingList.map(e => e.id === updated.id ? updated : e);
+  onPendingChanged();
+  closeSheet();
+  renderPendingList();
+  showToast('Changes saved.');
+}
+
+// ── Grading ──
+// Company, grade and (where the company issues them) autograph grade pickers.
+// `details` adds the cert number and sub-grade fields, prefilled from an entry.
+function renderGradePicker(container, value, details = null) {
+  const scales = gradingScales(catalog);
+  const parsed = parseGrade(value, scales);
+  // A grade the scales don't list (old hardcoded grades, other companies) stays selectable as-is
+  const known = parsed && scales.find(s => s.name === parsed.company);
+  const companies = !parsed ? scales
+    : !known ? [...scales, { name: parsed.company, grades: [parsed.grade] }]
+    : known.grades.includes(parsed.grade) ? scales
+    : scales.map(s => s === known ? { ...s, grades: [parsed.grade, ...s.grades] } : s);
+  container.innerHTML = `
+    <div class="grade-row">
+      <select class="grade-company">
+        <option value="">Raw (ungraded)</option>
+        ${companies.map(c => `<option value="${esc(c.name)}">${esc(c.name)}</option>`).join('')}
+      </select>
+      <select class="grade-value"></select>
+      <select class="grade-auto"></select>
+    </div>
+    ${details ? `<div class="grade-details">
+      <label>Cert Number</label>
+      <input class="grade-cert" type="text" inputmode="numeric" placeholder="Optional" value="${esc(details.cert_number || '')}">
+      <div class="grade-subgrades"></div>
+    </div>` : ''}`;
+
+  const companySel = container.querySelector('.grade-company');
+  const gradeSel = container.querySelector('.grade-value');
+  const autoSel = container.querySelector('.grade-auto');
+  const detailsEl = container.querySelector('.grade-details');
+  const fill = (grade, autoGrade, subgrades) => {
+    const company = companies.find(c => c.name === companySel.value);
+    gradeSel.style.display = company ? '' : 'none';
+    gradeSel.innerHTML = company ? company.grades.map(g => `<option value="${esc(g)}">${esc(g)}</option>`).join('') : '';
+    if (company && company.grades.includes(grade)) gradeSel.value = grade;
+    const autoGrades = company && company.auto_grades || [];
+    autoSel.style.display = autoGrades.length ? '' : 'none';
+    autoSel.innerHTML = '<option value="">No auto grade</option>' +
+      autoGrades.map(g => `<option value="${esc(g)}">Auto ${esc(g)}</option>`).join('');
+    if (autoGrades.includes(autoGrade)) autoSel.value = autoGrade;
+    if (!detailsEl) return;
+    detailsEl.style.display = company ? '' : 'none';
+    const options = company ? subgradeScale(company) : [];
+    detailsEl.querySelector('.grade-subgrades').innerHTML = (company && company.subgrades || []).map(name => `
+      <label>${esc(name)}</label>
+      <select data-name="${esc(name)}">
+        <option value="">—</option>
+        ${options.map(g => `<option value="${esc(g)}"${subgrades[name] === g ? ' selected' : ''}>${esc(g)}</option>`).join('')}
+      </select>`).join('');
+  };
+  companySel.value = parsed ? parsed.company : '';
+  fill(parsed && parsed.grade, parsed && parsed.auto_grade, (details && details.subgrades) || {});
+  companySel.addEventListener('change', () => fill(null, '', {}));
+}
+
+// → { grade, cert_number, subgrades }, all null for a raw card
+function readGradePicker(container) {
+  const company = container.querySelector('.grade-company').value;
+  if (!company) return { grade: null, cert_number: null, subgrades: null };
+  const cert = container.querySelector('.grade-cert');
+  const subgrades = {};
+  container.querySelectorAll('.grade-subgrades select').forEach(sel => {
+    if (sel.value) subgrades[sel.dataset.name] = sel.value;
+  });
+  return {
+    grade: formatGrade(company, container.querySelector('.grade-value').value, container.querySelector('.grade-auto').value),
+    cert_number: (cert && cert.value.trim()) || null,
+    subgrades: Object.keys(subgrades).length ? subgrades : null,
+  };
+}
+
+// ── Owned Copies ──
+function getOwnedCopies(productName, setName, cardNumber) {
+  if (!catalog || !catalog.collection) return [];
+  return catalog.collection.filter(e =>
+    e.product === productName && e.set === setName && e.card_number === cardNumber
+  );
+}
+
+function describeCopy(copy) {
+  const tags = copy.tags || {};
+  return [
+    copy.serial_number ? '#' + copy.serial_number : '',
+    copy.grade || 'Raw',
+    copy.cert_number ? 'Cert ' + copy.cert_number : '',
+    tags.location || '',
+    tags.status || '',
+    copy.quantity > 1 ? 'x' + copy.quantity : '',
+    copy.median_price ? '$' + copy.median_price.toFixed(2) : '',
+  ].filter(Boolean).join(' · ');
+}
+
+function openOwnedSheet(card, product, set) {
+  const copies = getOwnedCopies(product.name, set.name, card.number);
+  const body = openDetailSheet(
+    `#${card.number} ${card.player || card.card_name || ''}`,
+    `${product.name} — ${set.name}`,
+    copies.map((copy, i) => `
+      <div class="copy-item">
+        <div class="copy-title">${esc(copy.parallel || 'Base')}</div>
+        <div class="copy-sub">${esc(describeCopy(copy))}</div>
+        <div class="copy-actions" data-copy="${i}">
+          ${Object.entries(CHANGE_ACTIONS).map(([action, label]) =>
+            `<button class="btn btn-outline" data-action="${action}">${label}</button>`).join('')}
+        </div>
+      </div>`).join('') + `
+    <div class="detail-actions">
+      <button class="btn btn-green" id="ownedAddBtn">Add Another Copy</button>
+    </div>`
+  );
+
+  body.querySelectorAll('.copy-actions button').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const copy = copies[+btn.parentElement.dataset.copy];
+      openChangeForm(card, product, set, copy, btn.dataset.action);
+    });
+  });
+  $('ownedAddBtn').addEventListener('click', () => {
+    closeDetailSheet();
+    openAddSheet(card, product, set);
+  });
+}
+
+// Form for one change to an owned copy. `existing` is a pending entry when editing.
+function openChangeForm(card, product, set, copy, action, existing = null) {
+  const maxQty = Math.max(1, copy.quantity || 1);
+  const qty = existing ? existing.quantity : 1;
+  const today = new Date().toISOString().slice(0, 10);
+  let fields = '';
+
+  if (action === 'remove' || action === 'sell') {
+    fields += `
+      <label>Quantity (of ${maxQty})</label>
+      <input id="changeQty" type="number" min="1" max="${maxQty}" value="${qty}">`;
+  }
+  if (action === 'sell') {
+    fields += `
+      <label>Sale Price</label>
+      <input id="changePrice" type="number" min="0" step="0.01" inputmode="decimal" placeholder="0.00" value="${existing && existing.sale_price != null ? existing.sale_price : ''}">
+      <label>Sale Date</label>
+      <input id="changeDate" type="date" value="${existing ? esc(existing.sold_at) : today}">`;
+  }
+  if (action === 'update_grade') {
+    fields += `
+      <label>New Grade</label>
+      <div id="changeGrade" class="grade-picker"></div>`;
+  }
+  if (action === 'update_tags') {
+    fields += `
+      <label>Location</label><div id="changeLocation" class="tag-group"></div>
+      <label>Price Bucket</label><div id="changePriceBucket" class="tag-group"></div>
+      <label>Status</label><div id="changeStatus" class="tag-group"></div>`;
+  }
+
+  const body = openDetailSheet(
+    `${CHANGE_ACTIONS[action]} — #${card.number} ${card.player || card.card_name || ''}`,
+    `${product.name} — ${set.name} — ${copy.parallel || 'Base'} (${describeCopy(copy)})`,
+    fields + `
+      <label>Notes</label>
+      <input id="changeNotes" type="text" placeholder="Optional notes..." value="${existing ? esc(existing.notes) : ''}">
+      <div class="detail-actions">
+        <button class="btn btn-green" id="changeSaveBtn">${existing ? 'Save' : CHANGE_ACTIONS[action]}</button>
+      </div>`
+  );
+
+  if (action === 'update_grade') {
+    // The new slab gets its own cert and sub-grades; nothing carries over from the old one
+    renderGradePicker($('changeGrade'), existing ? existing.new_grade : copy.grade,
+      existing ? { cert_number: existing.new_cert_number, subgrades: existing.new_subgrades } : {});
+  }
+  if (action === 'update_tags') {
+    const tags = existing ? existing.new_tags : (copy.tags || {});
+    const pickers = { location: 'changeLocation', price_bucket: 'changePriceBucket', status: 'changeStatus' };
+    Object.entries(pickers).forEach(([group, id]) => {
+      buildTagPicker($(id), catalog.tags[group] || []);
+      preselectTag($(id), tags[group] || '');
+    });
+  }
+
+  body.querySelector('#changeSaveBtn').addEventListener('click', async () => {
+    const entry = {
+      action,
+      product: product.name,
+      set: set.name,
+      card_number: card.number,
+      parallel: copy.parallel || 'Base',
+      player: card.player,
+      team: card.team,
+      quantity: 1,
+      serial_number: copy.serial_number || null,
+      grade: copy.grade || null,
+      notes: $('changeNotes').value.trim() || null,
+      tags: { ...(copy.tags || {}) },
+      added_at: new Date().toISOString(),
+      profile: activeProfileId,
+    };
+
+    if (action === 'remove' || action === 'sell') {
+      entry.quantity = Math.min(maxQty, Math.max(1, +$('changeQty').value || 1));
+    }
+    if (action === 'sell') {
+      const price = $('changePrice').value.trim();
+      if (price !== '' && !(+price >= 0)) { showToast('Enter a valid sale price.'); return; }
+      entry.sale_price = price === '' ? null : Math.round(+price * 100) / 100;
+      entry.sold_at = $('changeDate').value || today;
+    }
+    if (action === 'update_grade') {
+      const regrade = readGradePicker($('changeGrade'));
+      entry.new_grade = regrade.grade;
+      entry.new_cert_number = regrade.cert_number;
+      entry.new_subgrades = regrade.subgrades;
+      if (entry.new_grade === entry.grade && !regrade.cert_number && !regrade.subgrades) {
+        showToast('Grade is unchanged.');
+        return;
+      }
+    }
+    if (action === 'update_tags') {
+      entry.new_tags = {};
+      const loc = getSelected($('changeLocation'));
+      const price = getSelected($('changePriceBucket'));
+      const status = getSelected($('changeStatus'));
+      if (loc) entry.new_tags.location = loc;
+      if (price) entry.new_tags.price_bucket = price;
+      if (status) entry.new_tags.status = status;
+    }
+
+    try {
+      if (existing) {
+        const updated = withExportReset(existing, { ...existing, ...entry, added_at: existing.added_at, id: existing.id });
+        await updatePending(updated);
+        pendingList = pendingList.map(e => e.id === updated.id ? updated : e);
+        onPendingChanged();
+        renderPendingList();
+      } else {
+        entry.id = await addPending(entry);
+        pendingList.push(entry);
+        onPendingChanged();
+      }
+    } catch (err) {
+      showToast('Failed to save change: ' + err.message, 3000);
+      return;
+    }
+    closeDetailSheet();
+    showToast(existing ? 'Changes saved.' : `${CHANGE_ACTIONS[action]} change added to pending.`);
+  });
+}
+
+// Reopen the form for a pending change; the copy is rebuilt from the entry if it left the collection
+function openChangeEditForm(entry) {
+  const product = catalog && catalog.products.find(p => p.name === entry.product);
+  const set = product && product.sets.find(s => s.name === entry.set);
+  const card = set && set.cards.find(c => c.number === entry.card_number);
+  if (!card) {
+    showToast('This card is no longer in the catalog.');
+    return;
+  }
+  const copy = getOwnedCopies(product.name, set.name, card.number).find(c =>
+    (c.parallel || 'Base') === entry.parallel &&
+    (c.serial_number || null) === entry.serial_number &&
+    (c.grade || null) === entry.grade
+  ) || {
+    parallel: entry.parallel,
+    serial_number: entry.serial_number,
+    grade: entry.grade,
+    tags: entry.tags,
+    quantity: entry.quantity,
+  };
+  openChangeForm(card, product, set, copy, entry.action, entry);
+}
+
+function describeChange(e) {
+  switch (e.action) {
+    case 'sell':
+      return [e.sale_price != null ? '$' + e.sale_price.toFixed(2) : '', e.sold_at].filter(Boolean).join(' on ');
+    case 'update_grade':
+      return `${e.grade || 'Raw'} → ${e.new_grade || 'Raw'}${e.new_cert_number ? ' (cert ' + e.new_cert_number + ')' : ''}`;
+    case 'update_tags':
+      return Object.values(e.new_tags || {}).join(', ') || 'no tags';
+    default:
+      return '';
+  }
+}
+
 // ── Pending ──
+// Call after any change to pendingList so badges and owned overlays stay current
+function onPendingChanged() {
+  reconcilePending();
+  updatePendingBadge();
+  pendingOwnedMap = buildPendingOwnedMap();
+  renderCards();
+  clearFulfilledWants();
+}
+
 function updatePendingBadge() {
   const count = pendingList.length;
-  pendingBadge.style.display = count > 0 ? 'flex' : 'none';
-  pendingBadge.textContent = count;
-  $('exportBtn').textContent = count > 0 ? `Export ${count} Changes` : 'Export Changes';
+  const shown = getFilteredPending().length;
+  const unexported = pendingList.filter(e => !isExported(e)).length;
+  pendingBadge.style.display = unexported > 0 ? 'flex' : 'none';
+  pendingBadge.textContent = unexported;
+  $('exportBtn').textContent = !shown ? 'Export Changes'
+    : shown < count ? `Export ${shown} of ${count} Changes`
+    : `Export ${count} Changes`;
+  updateWantsNote();
+}
+
+// Wants aren't pending changes, so filters don't apply; every change file carries all of them
+function updateWantsNote() {
+  const note = $('exportWantsNote');
+  note.style.display = wantList.length ? '' : 'none';
+  note.textContent = `JSON exports and syncs always include your full want list (${wantList.length} want${wantList.length === 1 ? '' : 's'}), whatever the filters.`;
+}
+
+// Pending entries passing the status, product and action filters; these are what gets exported
+function getFilteredPending() {
+  const status = getSelected($('pendingStatusFilter'));
+  const product = $('pendingProductFilter').value;
+  const action = getSelected($('pendingActionFilter'));
+  return pendingList.filter(e =>
+    (!status || (status === 'exported') === isExported(e)) &&
+    (!product || e.product === product) &&
+    (!action || e.action === action));
+}
+
+// Exported entries stay in Pending until their batch is archived
+function isExported(e) {
+  return !!(e.exported_in && e.exported_in.length);
+}
+
+// Sent to the sync endpoint but not acknowledged yet; the service worker is retrying
+function isQueued(e) {
+  return !!(e.sync && e.sync.state === 'queued');
+}
+
+function syncBadge(e) {
+  if (isQueued(e)) return '<span class="pending-action queued">Queued</span>';
+  if (e.sync && e.sync.state === 'synced') return '<span class="pending-action exported">Synced</span>';
+  return isExported(e) ? '<span class="pending-action exported">Exported</span>' : '';
+}
+
+function renderPendingFilter() {
+  const select = $('pendingProductFilter');
+  const products = [...new Set(pendingList.map(e => e.product))].sort();
+  const current = products.includes(select.value) ? select.value : '';
+  select.innerHTML = '<option value="">All products</option>' +
+    products.map(p => `<option value="${esc(p)}">${esc(p)}</option>`).join('');
+  select.value = current;
 }
 
 function renderPendingList() {
+  renderPendingFilter();
+  updatePendingBadge();
+  $('syncBtn').style.display = getActiveProfile().sync_url ? '' : 'none';
   if (!pendingList.length) {
     pendingListEl.innerHTML = '<div class="empty-state"><div class="icon">&#x2705;</div><p>No pending changes. Browse cards and tap to add them.</p></div>';
     return;
   }
+  const entries = getFilteredPending();
+  if (!entries.length) {
+    const allExported = pendingList.every(isExported);
+    pendingListEl.innerHTML = `<div class="empty-state"><p>${allExported && getSelected($('pendingStatusFilter')) === 'new'
+      ? 'Everything has been exported. Archive batches in Export History once the desktop has them.'
+      : 'No pending changes match this filter.'}</p></div>`;
+    return;
+  }
+
+  const banner = pendingOrphans.size
+    ? `<div class="orphan-banner">${esc(orphanNotice())}</div>`
+    : '';
+  pendingListEl.innerHTML = banner + entries.map(e => {
+    const orphan = pendingOrphans.get(e.id);
+    return `
+    <div class="pending-item${orphan ? ' orphaned' : ''}" data-id="${e.id}">
+      <div class="pending-info">
+        <div class="pending-title">${syncBadge(e)}${CHANGE_ACTIONS[e.action] ? `<span class="pending-action">${CHANGE_ACTIONS[e.action]}</span>` : ''}#${esc(e.card_number)} ${esc(e.player || '')} — ${esc(e.parallel)}</div>
+        <div class="pending-sub">${esc(e.product)} / ${esc(e.set)}${e.quantity > 1 ? ' (x' + e.quantity + ')' : ''}${e.serial_number ? ' #' + esc(e.serial_number) : ''}${CHANGE_ACTIONS[e.action] ? ' — ' + esc(describeChange(e)) : ''}</div>
+        ${orphan ? `<div class="pending-orphan">&#x26A0; ${esc(orphan.message)} — tap to remap</div>` : ''}
+      </div>
+      <button class="pending-delete" data-id="${e.id}">&times;</button>
+    </div>
+  `;
+  }).join('');
+
+  // Tap a row to edit it in the add sheet, or to remap it when it no longer resolves
+  pendingListEl.querySelectorAll('.pending-item').forEach(el => {
+    el.addEventListener('click', () => {
+      const entry = pendingList.find(e => e.id === +el.dataset.id);
+      if (!entry) return;
+      if (pendingOrphans.has(entry.id)) openRemapSheet(entry);
+      else if (entry.action === 'add') openEditSheet(entry);
+      else openChangeEditForm(entry);
+    });
+  });
+
+  pendingListEl.querySelectorAll('.pending-delete').forEach(btn => {
+    btn.addEventListener('click', async (ev) => {
+      ev.stopPropagation();
+      const id = +btn.dataset.id;
+      await deletePending(id);
+      pendingList = pendingList.filter(e => e.id !== id);
+      onPendingChanged();
+      renderPendingList();
+    });
+  });
+}
+
+// ── Reconcile ──
+// Pending entries are checked against the catalog after every catalog or pending
+// change; ones that no longer resolve block export until remapped or deleted.
+function reconcilePending() {
+  pendingOrphans = catalog ? findOrphans(pendingList, catalog) : new Map();
+}
+
+function orphanNotice() {
+  const n = pendingOrphans.size;
+  return `${n} pending change${n === 1 ? ' no longer matches' : 's no longer match'} the catalog. Remap or delete ${n === 1 ? 'it' : 'them'} before exporting.`;
+}
+
+function openRemapSheet(entry) {
+  const orphan = pendingOrphans.get(entry.id);
+  const options = suggestRemap(entry, orphan, catalog);
+  // Other orphans with the same missing name, e.g. every change in a renamed set
+  const alike = pendingList.filter(e => {
+    const o = pendingOrphans.get(e.id);
+    if (e === entry || !o || o.field !== orphan.field || o.value !== orphan.value) return false;
+    if (orphan.field === 'product') return true;
+    if (e.product !== entry.product) return false;
+    return orphan.field === 'set' || e.set === entry.set;
+  });
+  const label = FIELD_LABELS[orphan.field].toLowerCase();
+
+  const body = openDetailSheet(
+    'Remap Change',
+    `${orphan.message}.`,
+    `
+    <div class="pending-sub">${esc(entry.product)} / ${esc(entry.set)} #${esc(entry.card_number)} ${esc(entry.player || '')} — ${esc(entry.parallel)}</div>
+    <label>Replace with</label>
+    ${options.length ? `<select id="remapSelect">
+      ${options.map((o, i) => `<option value="${i}">${esc(o.label)}${o.score ? ` — ${Math.round(o.score * 100)}% match` : ''}</option>`).join('')}
+    </select>` : `<p class="setup-hint">The catalog has no ${label} to remap to. Delete this change instead.</p>`}
+    ${options.length && alike.length ? `<label class="check-row"><input type="checkbox" id="remapAlike" checked> Also remap ${alike.length} other change${alike.length === 1 ? '' : 's'} with this ${label}</label>` : ''}
+    <div class="detail-actions">
+      <button class="btn btn-red" id="remapDeleteBtn">Delete Change</button>
+      ${options.length ? '<button class="btn btn-green" id="remapSaveBtn">Remap</button>' : ''}
+    </div>`
+  );
+
+  body.querySelector('#remapDeleteBtn').addEventListener('click', async () => {
+    try {
+      await deletePending(entry.id);
+    } catch (err) {
+      showToast('Failed to delete change: ' + err.message, 3000);
+      return;
+    }
+    pendingList = pendingList.filter(e => e.id !== entry.id);
+    onPendingChanged();
+    closeDetailSheet();
+    renderPendingList();
+  });
+
+  const saveBtn = body.querySelector('#remapSaveBtn');
+  if (!saveBtn) return;
+  saveBtn.addEventListener('click', async () => {
+    const choice = options[$('remapSelect').value];
+    const targets = $('remapAlike') && $('remapAlike').checked ? [entry, ...alike] : [entry];
+    const updated = targets.map(e => {
+      const next = { ...e, [orphan.field]: choice.value };
+      if (choice.card) {
+        next.player = choice.card.player;
+        next.team = choice.card.team;
+      }
+      return next;
+    });
+    try {
+      for (const e of updated) await updatePending(e);
+    } catch (err) {
+      showToast('Failed to remap: ' + err.message, 3000);
+      return;
+    }
+    const byId = new Map(updated.map(e => [e.id, e]));
+    pendingList = pendingList.map(e => byId.get(e.id) || e);
+    onPendingChanged();
+    renderPendingList();
+    // A remapped set can still be missing the card or parallel; keep going
+    const next = byId.get(entry.id);
+    if (pendingOrphans.has(next.id)) {
+      openRemapSheet(next);
+    } else {
+      closeDetailSheet();
+      showToast(`Remapped ${updated.length} change${updated.length === 1 ? '' : 's'}.`);
+    }
+  });
+}
+
+// ── Export ──
+// The format_version 1 change file the desktop imports
+function buildExportData(entries) {
+  return {
+    format_version: 1,
+    export_id: crypto.randomUUID(),
+    exported_at: new Date().toISOString(),
+    changes: entries.map(toChange),
+  };
+}
+
+function toChange(e) {
+  const change = {
+    action: e.action,
+    product: e.product,
+    set: e.set,
+    card_number: e.card_number,
+    parallel: e.parallel,
+    quantity: e.quantity,
+    serial_number: e.serial_number,
+    grade: e.grade,
+    notes: e.notes,
+    tags: e.tags || {},
+  };
+  // Action-specific fields, only on the changes that use them
+  if (e.action === 'sell') {
+    change.sale_price = e.sale_price;
+    change.sold_at = e.sold_at;
+  }
+  if (e.action === 'update_grade') {
+    change.new_grade = e.new_grade;
+    if (e.new_cert_number) change.new_cert_number = e.new_cert_number;
+    if (e.new_subgrades) change.new_subgrades = e.new_subgrades;
+  }
+  if (e.action === 'update_tags') change.new_tags = e.new_tags || {};
+  if (e.cert_number) change.cert_number = e.cert_number;
+  if (e.subgrades) change.subgrades = e.subgrades;
+  return change;
+}
+
+// An edit that changes what the desktop would receive drops the export and sync
+// marks, so the entry counts as not exported and goes out again
+function withExportReset(original, updated) {
+  if (JSON.stringify(toChange(original)) === JSON.stringify(toChange(updated))) return updated;
+  const { exported_in, sync, ...rest } = updated;
+  return rest;
+}
+
+async function onExport() {
+  const entries = getFilteredPending();
+  if (!entries.length) {
+    showToast('No pending changes to export.');
+    return;
+  }
+  if (entries.some(e => pendingOrphans.has(e.id))) {
+    showToast(orphanNotice(), 4000);
+    return;
+  }
+
+  const format = getSelected($('exportFormat')) || 'json';
+  const summary = `${entries.length} changes.`;
+  if (format !== 'json') {
+    const file = {
+      export_id: crypto.randomUUID(),
+      exported_at: new Date().toISOString(),
+      format,
+      filename: generateExportFilename(entries.length, format),
+      mime_type: format === 'tsv' ? 'text/tab-separated-values' : 'text/csv',
+      text: toDelimited(entries.map(changeRow), CHANGE_COLUMNS, format === 'tsv' ? '\t' : ','),
+    };
+    if (await shareFile(file.text, file.filename, file.mime_type, summary)) await recordExport(entries, file);
+    return;
+  }
+
+  // Only change files for the desktop count as exporting an entry
+  if (!confirmResend(entries)) return;
+
+  const exportData = buildExportData(entries);
+  exportData.wants = exportWants();
+
+  const file = {
+    export_id: exportData.export_id,
+    exported_at: exportData.exported_at,
+    format,
+    filename: generateExportFilename(entries.length),
+    mime_type: 'application/json',
+    text: JSON.stringify(exportData, null, 2),
+  };
+  if (await shareFile(file.text, file.filename, file.mime_type, summary)) await recordExport(entries, file);
+}
+
+function exportWants() {
+  return wantList.map(w => ({
+    product: w.product,
+    set: w.set,
+    card_number: w.card_number,
+    parallel: w.parallel,
+    target_price: w.target_price,
+    priority: w.priority,
+    notes: w.notes,
+    added_at: w.added_at,
+  }));
+}
+
+// Entries already sent to the desktop, by file or sync, need a second thought
+function confirmResend(entries) {
+  const again = entries.filter(e => isExported(e) || isQueued(e));
+  return !again.length || confirm(`${again.length} of these changes were already exported. Export them again?`);
+}
+
+// Spreadsheet columns: one row per change, tags flattened into their own columns
+const CHANGE_COLUMNS = [
+  'action', 'product', 'set', 'card_number', 'player', 'team', 'parallel', 'quantity',
+  'serial_number', 'grade', 'cert_number', 'subgrades', 'location', 'price_bucket', 'status', 'notes',
+  'sale_price', 'sold_at', 'new_grade', 'new_cert_number', 'new_subgrades', 'new_location', 'new_price_bucket', 'new_status', 'added_at',
+];
+
+// { Centering: '9.5', Edges: '9' } → "Centering 9.5; Edges 9"
+function formatSubgrades(subgrades) {
+  return subgrades ? Object.entries(subgrades).map(([k, v]) => `${k} ${v}`).join('; ') : null;
+}
+
+function changeRow(e) {
+  const tags = e.tags || {};
+  const newTags = e.new_tags || {};
+  return {
+    ...e,
+    action: e.action || 'add',
+    subgrades: formatSubgrades(e.subgrades),
+    new_subgrades: formatSubgrades(e.new_subgrades),
+    location: tags.location,
+    price_bucket: tags.price_bucket,
+    status: tags.status,
+    new_location: newTags.location,
+    new_price_bucket: newTags.price_bucket,
+    new_status: newTags.status,
+  };
+}
+
+// Share a text file through the Web Share API, falling back to a copyable textarea.
+// Resolves false only when the user cancels the share sheet.
+async function shareFile(text, filename, mimeType, summary) {
+  const blob = new Blob([text], { type: mimeType });
+  const file = new File([blob], filename, { type: mimeType });
+
+  // Try Web Share API first (works on iOS Safari)
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file] });
+      return true;
+    } catch (err) {
+      if (err.name === 'AbortError') return false; // user cancelled
+      // Fall through to copy fallback
+    }
+  }
+
+  // Fallback: show the file contents in a copyable textarea
+  const label = filename.split('.').pop().toUpperCase();
+  const overlay = document.createElement('div');
+  overlay.className = 'sheet-overlay visible';
+  overlay.style.display = 'flex';
+  overlay.style.alignItems = 'center';
+  overlay.style.justifyContent = 'center';
+  overlay.style.padding = '20px';
+  overlay.style.zIndex = '60'; // above the detail sheet
+
+  const box = document.createElement('div');
+  box.style.cssText = 'background:var(--bg2); padding:16px; border-radius:12px; width:100%; max-width:400px; max-height:80vh; display:flex; flex-direction:column; gap:8px;';
+  box.innerHTML = `
+    <h3 style="color:var(--text)">Export ${esc(label)}</h3>
+    <p style="font-size:13px; color:var(--text2);">${esc(summary)} Save as <strong style="color:var(--text)">${esc(filename)}</strong></p>
+    <textarea class="export-area" style="flex:1; min-height:200px; width:100%; background:var(--bg); color:var(--text); border:1px solid var(--border); border-radius:8px; padding:8px; font-family:monospace; font-size:11px;" readonly></textarea>
+    <button class="btn" id="copyExportBtn">Copy to Clipboard</button>
+    <button class="btn btn-outline" id="closeExportBtn">Close</button>
+  `;
+
+  overlay.appendChild(box);
+  document.body.appendChild(overlay);
+  const ta = box.querySelector('textarea');
+  ta.value = text;
+
+  box.querySelector('#copyExportBtn').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      box.querySelector('#copyExportBtn').textContent = 'Copied!';
+      setTimeout(() => { box.querySelector('#copyExportBtn').textContent = 'Copy to Clipboard'; }, 2000);
+    } catch {
+      ta.select();
+      document.execCommand('copy');
+    }
+  });
+
+  const closeExport = () => { overlay.remove(); };
+  box.querySelector('#closeExportBtn').addEventListener('click', closeExport);
+  overlay.addEventListener('click', e => { if (e.target === overlay) closeExport(); });
+  return true;
+}
+
+// ── Export History ──
+// Every export keeps its exact file so a lost or failed share can be re-sent.
+// Change files also mark their entries exported; once the desktop has applied
+// a batch, archiving it removes those entries from Pending.
+async function loadExportHistory() {
+  try {
+    exportHistory = (await getAllExports()).filter(x => inProfile(x)).sort((a, b) => b.exported_at.localeCompare(a.exported_at));
+  } catch (err) {
+    console.warn('Failed to load export history', err);
+  }
+}
+
+async function recordExport(entries, file) {
+  const record = {
+    ...file,
+    count: entries.length,
+    entries: entries.map(e => ({ ...e })),
+    archived_at: null,
+    profile: activeProfileId,
+  };
+  try {
+    record.id = await addExport(record);
+    exportHistory.unshift(record);
+    if (file.format === 'json') {
+      const updated = entries.map(e => ({ ...e, exported_in: [...(e.exported_in || []), file.export_id] }));
+      for (const e of updated) await updatePending(e);
+      const byId = new Map(updated.map(e => [e.id, e]));
+      pendingList = pendingList.map(e => byId.get(e.id) || e);
+    }
+  } catch (err) {
+    showToast('Export was shared but not recorded: ' + err.message, 4000);
+  }
+  onPendingChanged();
+  renderPendingList();
+}
+
+function openExportHistory() {
+  const body = openDetailSheet(
+    'Export History',
+    `${exportHistory.length} export${exportHistory.length === 1 ? '' : 's'}`,
+    exportHistory.length ? exportHistory.map(x => `
+      <div class="pending-item" data-id="${x.id}">
+        <div class="pending-info">
+          <div class="pending-title">${x.archived_at ? '<span class="pending-action exported">Archived</span>' : ''}${esc(x.filename)}</div>
+          <div class="pending-sub">${new Date(x.exported_at).toLocaleString()} · ${x.count} change${x.count === 1 ? '' : 's'} · ${x.format.toUpperCase()}</div>
+        </div>
+      </div>`).join('')
+      : '<div class="empty-state"><p>Exports will appear here.</p></div>'
+  );
+  body.querySelectorAll('.pending-item').forEach(row => {
+    row.addEventListener('click', () => {
+      const record = exportHistory.find(x => x.id === +row.dataset.id);
+      if (record) openExportRecord(record);
+    });
+  });
+}
+
+function openExportRecord(record) {
+  const stillPending = pendingList.filter(e => record.entries.some(x => x.id === e.id));
+  const body = openDetailSheet(
+    record.filename,
+    `${new Date(record.exported_at).toLocaleString()} · ${record.count} change${record.count === 1 ? '' : 's'}` +
+      (record.archived_at ? ` · archived ${new Date(record.archived_at).toLocaleString()}` : ''),
+    record.entries.map(e => `
+      <div class="copy-item">
+        <div class="copy-title">${CHANGE_ACTIONS[e.action] ? `<span class="pending-action">${CHANGE_ACTIONS[e.action]}</span> ` : ''}#${esc(e.card_number)} ${esc(e.player || '')} — ${esc(e.parallel)}${e.quantity > 1 ? ' (x' + e.quantity + ')' : ''}</div>
+        <div class="copy-sub">${esc(e.product)} / ${esc(e.set)}</div>
+      </div>`).join('') + `
+    <div class="detail-actions">
+      <button class="btn btn-outline" id="exportBackBtn">Back</button>
+      <button class="btn" id="exportReshareBtn">Re-share File</button>
+      ${record.format !== 'csv' && record.format !== 'tsv' && !record.archived_at ? '<button class="btn btn-green" id="exportArchiveBtn">Desktop Has It — Archive</button>' : ''}
+    </div>`
+  );
+
+  body.querySelector('#exportBackBtn').addEventListener('click', openExportHistory);
+  body.querySelector('#exportReshareBtn').addEventListener('click', () => {
+    shareFile(record.text, record.filename, record.mime_type, `${record.count} changes, exactly as first exported.`);
+  });
+  const archiveBtn = body.querySelector('#exportArchiveBtn');
+  if (!archiveBtn) return;
+  archiveBtn.addEventListener('click', async () => {
+    const message = stillPending.length
+      ? `Remove this batch's ${stillPending.length} changes from Pending? They stay listed here.`
+      : 'Mark this batch as applied on the desktop?';
+    if (!confirm(message)) return;
+    const archived = { ...record, archived_at: new Date().toISOString() };
+    try {
+      for (const e of stillPending) await deletePending(e.id);
+      await updateExport(archived);
+    } catch (err) {
+      showToast('Failed to archive: ' + err.message, 3000);
+      return;
+    }
+    const removed = new Set(stillPending.map(e => e.id));
+    pendingList = pendingList.filter(e => !removed.has(e.id));
+    exportHistory = exportHistory.map(x => x.id === archived.id ? archived : x);
+    onPendingChanged();
+    renderPendingList();
+    openExportRecord(archived);
+    showToast(`Archived ${record.filename}.`);
+  });
+}
+
+// ── Sync ──
+// The change file can also be POSTed to the profile's sync endpoint, e.g. a
+// desktop companion on the LAN. The server acknowledges by answering with
+// { "export_id": … }; unacknowledged sends are handed to the service worker's
+// outbox and retried there.
+const SYNC_TIMEOUT_MS = 15000;
+
+async function onSync() {
+  const profile = getActiveProfile();
+  const entries = getFilteredPending().filter(e => !isQueued(e));
+  if (!profile.sync_url || !entries.length) {
+    showToast('No pending changes to sync.');
+    return;
+  }
+  if (entries.some(e => pendingOrphans.has(e.id))) {
+    showToast(orphanNotice(), 4000);
+    return;
+  }
+  if (!confirmResend(entries)) return;
+
+  const exportData = buildExportData(entries);
+  exportData.wants = exportWants();
+  const item = {
+    export_id: exportData.export_id,
+    url: profile.sync_url,
+    headers: { 'Content-Type': 'application/json', ...parseAuthHeader(profile.auth_header) },
+    body: JSON.stringify(exportData, null, 2),
+    queued_at: exportData.exported_at,
+  };
+
+  const btn = $('syncBtn');
+  btn.disabled = true;
+  btn.textContent = 'Syncing...';
+  let outcome;
+  // A desktop that accepts the connection but never answers is treated as unreachable
+  const abort = new AbortController();
+  const timer = setTimeout(() => abort.abort(), SYNC_TIMEOUT_MS);
+  try {
+    const resp = await fetch(item.url, { method: 'POST', headers: item.headers, body: item.body, signal: abort.signal });
+    const ack = resp.ok ? await resp.json().catch(() => null) : null;
+    outcome = ack && ack.export_id === item.export_id ? 'synced'
+      // Server errors and timeouts are worth retrying; a rejected request isn't
+      : abort.signal.aborted || resp.status >= 500 || resp.status === 408 || resp.status === 429 ? 'retry'
+      : resp.ok ? 'Server did not acknowledge the changes.' : `Sync failed: HTTP ${resp.status}`;
+  } catch {
+    outcome = 'retry';
+  } finally {
+    clearTimeout(timer);
+    btn.disabled = false;
+    btn.textContent = 'Sync';
+  }
+
+  if (outcome === 'retry' && !(await postToServiceWorker({ type: 'QUEUE_SYNC', item }))) {
+    outcome = 'Sync failed and offline retry is unavailable.';
+  }
+  if (outcome !== 'synced' && outcome !== 'retry') {
+    showToast(outcome, 4000);
+    return;
+  }
+
+  await recordExport(entries, {
+    export_id: item.export_id,
+    exported_at: exportData.exported_at,
+    format: 'sync',
+    filename: generateExportFilename(entries.length),
+    mime_type: 'application/json',
+    text: item.body,
+  });
+  await markSyncState(item.export_id, outcome === 'synced' ? 'synced' : 'queued', entries.map(e => e.id));
+  showToast(outcome === 'synced'
+    ? `Synced ${entries.length} changes.`
+    : `Desktop unreachable — ${entries.length} changes queued and will retry when online.`, 4000);
+}
+
+// Set the sync marker on the entries sent under exportId (or the given ids),
+// whichever profile they belong to. Synced entries count as exported.
+async function markSyncState(exportId, state, ids = null) {
+  const all = await getAllPending();
+  const targets = ids ? all.filter(e => ids.includes(e.id)) : all.filter(e => e.sync && e.sync.export_id === exportId);
+  const updated = targets.map(e => ({
+    ...e,
+    sync: { export_id: exportId, state, at: new Date().toISOString() },
+    exported_in: state === 'synced' && !(e.exported_in || []).includes(exportId)
+      ? [...(e.exported_in || []), exportId] : e.exported_in,
+  }));
+  for (const e of updated) await updatePending(e);
+  const byId = new Map(updated.map(e => [e.id, e]));
+  pendingList = pendingList.map(e => byId.get(e.id) || e);
+  onPendingChanged();
+  renderPendingList();
+  return updated.length;
+}
+
+async function onSyncAcked(exportId, worker) {
+  try {
+    const n = await markSyncState(exportId, 'synced');
+    if (n) showToast(`Queued sync delivered: ${n} changes.`, 3000);
+    worker.postMessage({ type: 'SYNC_CLEAR', export_id: exportId });
+  } catch (err) {
+    console.warn('Failed to mark sync acknowledged', err);
+  }
+}
+
+function retrySync() {
+  postToServiceWorker({ type: 'RETRY_SYNC' });
+}
+
+// Resolves false when there is no active service worker to take the message
+async function postToServiceWorker(msg) {
+  if (!('serviceWorker' in navigator)) return false;
+  const reg = await navigator.serviceWorker.getRegistration().catch(() => null);
+  if (!reg || !reg.active) return false;
+  reg.active.postMessage(msg);
+  return true;
+}
+
+// ── Import ──
+// Change files exported on another device are merged into Pending. A file is
+// only merged once (by export_id), and changes matching an existing pending
+// entry are held back for review instead of being added twice.
+async function onChangesFileSelected(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  try {
+    const data = JSON.parse(await file.text());
+    if (!data || data.format_version !== 1 || !Array.isArray(data.changes) || !data.export_id) {
+      showToast('Not a change file — export one from the Pending tab.', 4000);
+      return;
+    }
+    const imported = (await getMeta(profileKey('importedExports'))) || [];
+    const previous = imported.find(r => r.export_id === data.export_id);
+    if (previous) {
+      showToast(`${file.name} was already imported on ${new Date(previous.imported_at).toLocaleString()}.`, 4000);
+      return;
+    }
+    const changes = data.changes.filter(isValidChange);
+    if (!changes.length) {
+      showToast('The file has no changes to import.', 3000);
+      return;
+    }
+    // A missing or hand-edited export date reads as unknown rather than "Invalid Date"
+    if (typeof data.exported_at !== 'string' || isNaN(Date.parse(data.exported_at))) data.exported_at = null;
+    openImportPreview(file.name, data, changes, data.changes.length - changes.length);
+  } catch (err) {
+    showToast('Failed to read change file: ' + err.message, 4000);
+  } finally {
+    e.target.value = '';
+  }
+}
+
+function isValidChange(c) {
+  return c && (c.action === 'add' || Object.hasOwn(CHANGE_ACTIONS, c.action)) &&
+    [c.product, c.set, c.card_number].every(v => typeof v === 'string' && v) &&
+    Number.isInteger(c.quantity) && c.quantity > 0;
+}
+
+// Identical export fields mean the same change, whichever device recorded it
+function changeSignature(e) {
+  const c = toChange(e);
+  const sorted = tags => Object.keys(tags || {}).sort().map(k => [k, tags[k]]);
+  return JSON.stringify({ ...c, tags: sorted(c.tags), new_tags: c.new_tags && sorted(c.new_tags) });
+}
+
+function openImportPreview(filename, data, changes, skipped) {
+  const local = new Set(pendingList.map(changeSignature));
+  const fresh = changes.filter(c => !local.has(changeSignature(c)));
+  const identical = changes.filter(c => local.has(changeSignature(c)));
+  const row = (c, i) => `
+    <div class="copy-item">
+      <div class="copy-title">${i !== undefined ? `<input type="checkbox" data-idx="${i}"> ` : ''}${CHANGE_ACTIONS[c.action] ? `<span class="pending-action">${CHANGE_ACTIONS[c.action]}</span> ` : ''}#${esc(c.card_number)} — ${esc(c.parallel)}${c.quantity > 1 ? ' (x' + c.quantity + ')' : ''}</div>
+      <div class="copy-sub">${esc(c.product)} / ${esc(c.set)}${CHANGE_ACTIONS[c.action] ? ' — ' + esc(describeChange(c)) : ''}</div>
+    </div>`;
+
+  const body = openDetailSheet(
+    'Import Changes',
+    `${filename} · exported ${data.exported_at ? new Date(data.exported_at).toLocaleString() : 'unknown'}` +
+      (skipped ? ` · ${skipped} unreadable change${skipped === 1 ? '' : 's'} skipped` : ''),
+    `
+    ${fresh.length ? `<div class="result-group">New (${fresh.length})</div>${fresh.map(c => row(c)).join('')}` : ''}
+    ${identical.length ? `<div class="result-group">Already pending (${identical.length})</div>
+      <p class="setup-hint">These match changes you already have. Tick any that really are extra copies.</p>
+      ${identical.map((c, i) => row(c, i)).join('')}` : ''}
+    <div class="detail-actions">
+      <button class="btn btn-green" id="importConfirmBtn"></button>
+    </div>`
+  );
+
+  const confirmBtn = body.querySelector('#importConfirmBtn');
+  const accepted = () => [...fresh, ...identical.filter((c, i) => body.querySelector(`input[data-idx="${i}"]`).checked)];
+  const updateLabel = () => {
+    const n = accepted().length;
+    confirmBtn.textContent = n ? `Import ${n} Change${n === 1 ? '' : 's'}` : 'Mark as Imported';
+  };
+  body.querySelectorAll('input[type="checkbox"]').forEach(cb => cb.addEventListener('change', updateLabel));
+  updateLabel();
+
+  confirmBtn.addEventListener('click', async () => {
+    const toAdd = accepted();
+    try {
+      for (const c of toAdd) {
+        const entry = fromImportedChange(c, data);
+        entry.id = await addPending(entry);
+        pendingList.push(entry);
+      }
+      const imported = (await getMeta(profileKey('importedExports'))) || [];
+      imported.push({ export_id: data.export_id, imported_at: new Date().toISOString(), filename, count: toAdd.length });
+      await putMeta(profileKey('importedExports'), imported);
+    } catch (err) {
+      showToast('Import failed: ' + err.message, 4000);
+      onPendingChanged();
+      renderPendingList();
+      return;
+    }
+    onPendingChanged();
+    renderPendingList();
+    closeDetailSheet();
+    showToast(`Imported ${toAdd.length} change${toAdd.length === 1 ? '' : 's'}.`);
+  });
+}
+
+// A pending entry for an imported change, with player/team filled from the catalog
+function fromImportedChange(c, data) {
+  const product = catalog && catalog.products.find(p => p.name === c.product);
+  const set = product && product.sets.find(s => s.name === c.set);
+  const card = set && set.cards.find(x => x.number === c.card_number);
+  const entry = {
+    ...toChange(c),
+    player: card ? card.player : null,
+    team: card ? card.team : null,
+    tags: { ...(c.tags || {}) },
+    added_at: data.exported_at || new Date().toISOString(),
+    imported_from: data.export_id,
+    profile: activeProfileId,
+  };
+  if (entry.new_tags) entry.new_tags = { ...entry.new_tags };
+  return entry;
+}
+
+// ── Paste Import ──
+// Freeform inventory lines are fuzzy-matched to the catalog, reviewed with their
+// confidence, corrected where needed and then added as ordinary pending adds.
+const CONFIDENCE_LEVELS = [[0.8, 'high', 'High'], [0.6, 'medium', 'Medium'], [0, 'low', 'Low']];
+
+function confidenceBadge(row) {
+  if (row.fixed) return '<span class="confidence high">Checked</span>';
+  const [, cls, label] = CONFIDENCE_LEVELS.find(([min]) => row.confidence >= min);
+  return `<span class="confidence ${cls}">${label} ${Math.round(row.confidence * 100)}%</span>`;
+}
+
+function openPasteSheet(state = { text: '', rows: [], tags: {} }) {
+  if (!catalog) {
+    showToast('Load a catalog first.');
+    return;
+  }
+  const body = openDetailSheet(
+    'Paste Text',
+    'One card per line, e.g. "Topps Chrome 2024 #15 Judge Refractor x2"',
+    `
+    <textarea id="pasteText" class="paste-area" placeholder="Paste a checklist, a seller's list or a spreadsheet column..."></textarea>
+    <div class="detail-actions">
+      <button class="btn btn-green" id="pasteMatchBtn">Match Lines</button>
+    </div>`
+  );
+  const textarea = body.querySelector('#pasteText');
+  textarea.value = state.text;
+  body.querySelector('#pasteMatchBtn').addEventListener('click', () => {
+    const text = textarea.value;
+    const rows = matchLines(text, catalog).map(m => ({ ...m, include: !!m.card && m.confidence >= CONFIDENCE_LEVELS[1][0] }));
+    if (!rows.length) {
+      showToast('Paste at least one line.');
+      return;
+    }
+    openPasteReview({ ...state, text, rows });
+  });
+}
+
+function openPasteReview(state) {
+  const { rows } = state;
+  const unmatched = rows.filter(r => !r.card).length;
+  const body = openDetailSheet(
+    'Review Matches',
+    `${rows.length} line${rows.length === 1 ? '' : 's'}${unmatched ? `, ${unmatched} without a match` : ''}. Fix anything that looks wrong.`,
+    rows.map((r, i) => `
+      <div class="copy-item">
+        <div class="copy-title">
+          ${r.card ? `<input type="checkbox" data-idx="${i}"${r.include ? ' checked' : ''}>
+          #${esc(r.card.number)} ${esc(r.card.player || r.card.card_name || '')} — ${esc(r.parallel ? r.parallel.name : '')}${r.quantity > 1 ? ' x' + r.quantity : ''}
+          ${confidenceBadge(r)}` : 'No match <span class="confidence low">0%</span>'}
+        </div>
+        ${r.card ? `<div class="copy-sub">${esc(r.product.year)} ${esc(r.product.name)} / ${esc(r.set.name)}</div>` : ''}
+        <div class="copy-sub">“${esc(r.text)}”</div>
+        <div class="copy-actions"><button class="btn btn-outline" data-fix="${i}">${r.card ? 'Fix' : 'Pick Card'}</button></div>
+      </div>`).join('') + `
+    <label>Location</label>
+    <div id="pasteLocation" class="tag-group"></div>
+    <label>Price Bucket</label>
+    <div id="pastePrice" class="tag-group"></div>
+    <label>Status</label>
+    <div id="pasteStatus" class="tag-group"></div>
+    <div class="detail-actions">
+      <button class="btn btn-outline" id="pasteBackBtn">Edit Text</button>
+      <button class="btn btn-green" id="pasteAddBtn"></button>
+    </div>`
+  );
+
+  const pickers = { location: $('pasteLocation'), price_bucket: $('pastePrice'), status: $('pasteStatus') };
+  Object.entries(pickers).forEach(([group, el]) => {
+    buildTagPicker(el, catalog.tags[group] || []);
+    preselectTag(el, state.tags[group] || '');
+  });
+  // Remember the tag choice across the fix screen and back
+  const keepTags = () => Object.entries(pickers).forEach(([group, el]) => { state.tags[group] = getSelected(el); });
+
+  const addBtn = body.querySelector('#pasteAddBtn');
+  const updateCount = () => {
+    const n = rows.filter(r => r.include).reduce((a, r) => a + r.quantity, 0);
+    addBtn.textContent = `Add ${n} Card${n === 1 ? '' : 's'} to Pending`;
+    addBtn.disabled = !n;
+  };
+  body.querySelectorAll('input[data-idx]').forEach(cb => cb.addEventListener('change', () => {
+    rows[+cb.dataset.idx].include = cb.checked;
+    updateCount();
+  }));
+  updateCount();
+
+  body.querySelectorAll('[data-fix]').forEach(btn => btn.addEventListener('click', () => {
+    keepTags();
+    openPasteFix(state, +btn.dataset.fix);
+  }));
+  body.querySelector('#pasteBackBtn').addEventListener('click', () => {
+    keepTags();
+    openPasteSheet(state);
+  });
+  addBtn.addEventListener('click', async () => {
+    keepTags();
+    await addPastedRows(rows.filter(r => r.include), state.tags);
+  });
+}
+
+// Pick product, set, card, parallel and quantity for one line by hand
+function openPasteFix(state, idx) {
+  const row = state.rows[idx];
+  const products = catalog.products;
+  if (!products.length) {
+    showToast('The catalog has no products to pick from.');
+    return;
+  }
+  const body = openDetailSheet(
+    'Fix Match',
+    `“${row.text}”`,
+    `
+    <label>Product</label>
+    <select id="fixProduct">${products.map((p, i) => `<option value="${i}">${esc(p.year)} ${esc(p.name)}</option>`).join('')}</select>
+    <label>Set</label>
+    <select id="fixSet"></select>
+    <label>Card</label>
+    <select id="fixCard"></select>
+    <label>Parallel</label>
+    <select id="fixParallel"></select>
+    <label>Quantity</label>
+    <input id="fixQty" type="number" min="1" max="99" value="${row.quantity}">
+    <div class="detail-actions">
+      <button class="btn btn-outline" id="fixCancelBtn">Cancel</button>
+      <button class="btn btn-green" id="fixSaveBtn">Use This Card</button>
+    </div>`
+  );
+  const productSel = $('fixProduct');
+  const setSel = $('fixSet');
+  const cardSel = $('fixCard');
+  const parallelSel = $('fixParallel');
+  const fillSets = () => {
+    const product = products[productSel.value];
+    setSel.innerHTML = product.sets.map((s, i) => `<option value="${i}">${esc(s.name)} (${s.type})</option>`).join('');
+    if (product === row.product) setSel.value = product.sets.indexOf(row.set);
+    fillSet();
+  };
+  const fillSet = () => {
+    const set = products[productSel.value].sets[setSel.value] || { cards: [], parallels: [] };
+    cardSel.innerHTML = set.cards.map((c, i) => `<option value="${i}">#${esc(c.number)} ${esc(c.player || c.card_name || '')}</option>`).join('');
+    parallelSel.innerHTML = set.parallels.map((p, i) => `<option value="${i}">${esc(p.name)}</option>`).join('');
+    if (set === row.set) {
+      cardSel.value = set.cards.indexOf(row.card);
+      parallelSel.value = Math.max(0, set.parallels.indexOf(row.parallel));
+    }
+  };
+  productSel.value = row.product ? products.indexOf(row.product) : 0;
+  productSel.addEventListener('change', fillSets);
+  setSel.addEventListener('change', fillSet);
+  fillSets();
+
+  body.querySelector('#fixCancelBtn').addEventListener('click', () => openPasteReview(state));
+  body.querySelector('#fixSaveBtn').addEventListener('click', () => {
+    const product = products[productSel.value];
+    const set = product.sets[setSel.value];
+    const card = set && set.cards[cardSel.value];
+    if (!card) {
+      showToast('This set has no cards.');
+      return;
+    }
+    state.rows[idx] = {
+      ...row,
+      product,
+      set,
+      card,
+      parallel: set.parallels[parallelSel.value] || null,
+      quantity: Math.min(99, Math.max(1, +$('fixQty').value || 1)),
+      fixed: true,
+      include: true,
+    };
+    openPasteReview(state);
+  });
+}
+
+async function addPastedRows(rows, tags) {
+  let added = 0;
+  try {
+    for (const r of rows) {
+      const entry = {
+        action: 'add',
+        product: r.product.name,
+        set: r.set.name,
+        card_number: r.card.number,
+        parallel: r.parallel ? r.parallel.name : 'Base',
+        player: r.card.player,
+        team: r.card.team,
+        quantity: r.quantity,
+        serial_number: null,
+        grade: null,
+        notes: null,
+        tags: {},
+        added_at: new Date().toISOString(),
+        profile: activeProfileId,
+      };
+      Object.entries(tags).forEach(([group, value]) => { if (value) entry.tags[group] = value; });
+      entry.id = await addPending(entry);
+      pendingList.push(entry);
+      added++;
+    }
+  } catch (err) {
+    showToast(`Added ${added} of ${rows.length}: ${err.message}`, 4000);
+  }
+  onPendingChanged();
+  renderPendingList();
+  if (added === rows.length) {
+    closeDetailSheet();
+    showToast(`Added ${added} line${added === 1 ? '' : 's'} to Pending.`);
+  }
+}
+
+async function onClearAll() {
+  if (!pendingList.length) return;
+  const unexported = pendingList.filter(e => !isExported(e)).length;
+  const message = unexported
+    ? `You have ${unexported} unexported changes. Clear anyway?`
+    : `Clear ${pendingList.length} exported changes? They stay in Export History.`;
+  if (!confirm(message)) return;
+  // Other profiles' pending changes share the store
+  await Promise.all(pendingList.map(e => deletePending(e.id)));
+  pendingList = [];
+  onPendingChanged();
+  renderPendingList();
+}
+
+// ══════════════════════════════════════
+// COLLECTION
+// ══════════════════════════════════════
+
+function switchCollectionView(view) {
+  document.querySelectorAll('#collectionViewBar .sess-chip-btn').forEach(b => b.classList.toggle('active', b.dataset.view === view));
+  document.querySelectorAll('.collection-view').forEach(v => { v.style.display = v.id === view + 'View' ? '' : 'none'; });
+  renderCollectionView();
+}
+
+function renderCollectionView() {
+  const active = document.querySelector('#collectionViewBar .sess-chip-btn.active');
+  switch (active && active.dataset.view) {
+    case 'completion': renderCompletion(); break;
+    case 'wants': renderWantList(); break;
+    case 'value': renderValue(); break;
+    case 'stats': renderStats(); break;
+  }
+}
+
+// ── Completion ──
+function onCompSportChanged() {
+  const sport = compSportSelect.value;
+  const products = (catalog ? catalog.products : [])
+    .filter(p => !sport || p.sport === sport)
+    .sort((a, b) => b.year.localeCompare(a.year) || a.name.localeCompare(b.name));
+  compProductSelect.innerHTML = '<option value="">-- Select Product --</option>' +
+    products.map((p, i) => `<option value="${i}">${esc(p.year)} ${esc(p.name)}</option>`).join('');
+  compProductSelect._products = products;
+  renderCompletion();
+}
+
+function getCompProduct() {
+  const products = compProductSelect._products || [];
+  return products[compProductSelect.value] || null;
+}
+
+// Sets of the product that pass the base/insert filter
+function getCompSets(product) {
+  const filter = getSelected(compSetFilter);
+  return product.sets.filter(s =>
+    filter === 'base' ? s.type === 'base' :
+    filter === 'insert' ? s.type !== 'base' :
+    true
+  );
+}
+
+function compCardPasses(card) {
+  const filter = getSelected(compCardFilter);
+  if (filter === 'sp') return !!card.sp;
+  if (filter === 'rc') return !!card.rookie;
+  return true;
+}
+
+// A card counts as owned in any parallel, confirmed or pending
+function getSetCompletion(product, set) {
+  const cards = set.cards.filter(compCardPasses);
+  const missing = [];
+  let owned = 0;
+  let pending = 0;
+  cards.forEach(c => {
+    const key = `${product.name}|${set.name}|${c.number}`;
+    if (ownedMap.has(key)) owned++;
+    else if (pendingOwnedMap.has(key)) { owned++; pending++; }
+    else missing.push(c);
+  });
+  return { owned, pending, total: cards.length, missing };
+}
+
+function pctOf(owned, total) {
+  return total ? Math.floor(owned / total * 100) : 0;
+}
+
+function renderCompletion() {
+  const product = getCompProduct();
+  if (!product) {
+    compSummary.style.display = 'none';
+    $('compExportBtn').style.display = 'none';
+    compSetList.innerHTML = `<div class="empty-state"><div class="icon">&#x1F4CA;</div><p>${catalog ? 'Select a product to see set completion.' : 'Load a catalog from the Settings tab to get started.'}</p></div>`;
+    return;
+  }
+
+  const sets = getCompSets(product);
+  const rows = sets.map(set => ({ set, ...getSetCompletion(product, set) }));
+  const owned = rows.reduce((a, r) => a + r.owned, 0);
+  const total = rows.reduce((a, r) => a + r.total, 0);
+  const pct = pctOf(owned, total);
+
+  compSummary.style.display = '';
+  compSummary.innerHTML = `
+    <span>${sets.length} set${sets.length === 1 ? '' : 's'}</span>
+    <span>${owned}/${total} cards (${pct}%)</span>
+    <div class="progress"><div class="progress-fill" style="width:${pct}%"></div></div>`;
+  $('compExportBtn').style.display = total > owned ? '' : 'none';
+
+  if (!rows.length) {
+    compSetList.innerHTML = '<div class="empty-state"><p>No sets match this filter.</p></div>';
+    return;
+  }
+
+  compSetList.innerHTML = rows.map((r, i) => {
+    const p = pctOf(r.owned, r.total);
+    return `
+    <div class="card-item comp-set" data-idx="${i}">
+      <div class="card-info">
+        <div class="card-player">${esc(r.set.name)} <span class="card-team">(${esc(r.set.type)})</span></div>
+        <div class="card-team">${r.owned}/${r.total} owned${r.pending ? ` · ${r.pending} pending` : ''} · ${r.missing.length} missing</div>
+        <div class="progress"><div class="progress-fill" style="width:${p}%"></div></div>
+      </div>
+      <span class="comp-pct${p === 100 ? ' complete' : ''}">${p}%</span>
+    </div>`;
+  }).join('');
+
+  compSetList.querySelectorAll('.comp-set').forEach(el => {
+    el.addEventListener('click', () => openMissingSheet(product, [rows[+el.dataset.idx].set]));
+  });
+}
+
+// Missing-card checklist for one or more sets, exportable as a want list
+function openMissingSheet(product, sets) {
+  const groups = sets
+    .map(set => ({ set, missing: getSetCompletion(product, set).missing }))
+    .filter(g => g.missing.length);
+  const count = groups.reduce((a, g) => a + g.missing.length, 0);
+
+  const body = openDetailSheet(
+    `Missing — ${product.year} ${product.name}`,
+    sets.length === 1 ? `${sets[0].name} — ${count} missing` : `${groups.length} sets — ${count} missing`,
+    (count ? groups.map(g => `
+      ${sets.length > 1 ? `<div class="result-group">${esc(g.set.name)}</div>` : ''}
+      ${g.missing.map(c => `
+        <div class="copy-item">
+          <span class="card-num">${esc(c.number)}</span>
+          ${c.player ? entityLink('player', c.player) : esc(c.card_name || '(no player)')}
+          <span class="card-team">${entityLink('team', c.team)}</span>
+          ${c.sp ? '<span class="card-sp">SP</span>' : ''}
+          ${c.rookie ? '<span class="card-rc">RC</span>' : ''}
+        </div>`).join('')}`).join('')
+      : '<div class="empty-state"><p>Nothing missing — set complete!</p></div>') + `
+    <div class="detail-actions">
+      <button class="btn btn-outline" data-format="json">JSON</button>
+      <button class="btn btn-outline" data-format="csv">CSV</button>
+      <button class="btn btn-outline" data-format="txt">Text</button>
+    </div>`
+  );
+
+  body.querySelectorAll('[data-format]').forEach(btn => {
+    btn.style.display = count ? '' : 'none';
+    btn.addEventListener('click', () => exportWantList(product, groups, btn.dataset.format));
+  });
+  wireEntityLinks(body);
+}
+
+async function exportWantList(product, groups, format) {
+  const rows = [];
+  groups.forEach(g => g.missing.forEach(c => rows.push({
+    product: product.name,
+    year: product.year,
+    set: g.set.name,
+    card_number: c.number,
+    player: c.player || c.card_name || '',
+    team: c.team || '',
+    rookie: !!c.rookie,
+    sp: !!c.sp,
+  })));
+
+  let text;
+  let mimeType;
+  if (format === 'json') {
+    text = JSON.stringify({ want_list: true, generated_at: new Date().toISOString(), cards: rows }, null, 2);
+    mimeType = 'application/json';
+  } else if (format === 'csv') {
+    text = toDelimited(rows, ['product', 'year', 'set', 'card_number', 'player', 'team', 'rookie', 'sp']);
+    mimeType = 'text/csv';
+  } else {
+    text = `Want list — ${product.year} ${product.name}\n` + groups.map(g =>
+      `\n${g.set.name}\n` + g.missing.map(c =>
+        `  #${c.number} ${c.player || c.card_name || ''}${c.rookie ? ' RC' : ''}${c.sp ? ' SP' : ''}`
+      ).join('\n')
+    ).join('\n') + '\n';
+    mimeType = 'text/plain';
+  }
+
+  const slug = `${product.year}_${product.name}`.replace(/[^A-Za-z0-9]+/g, '_');
+  const filename = `wants_${slug}_${new Date().toISOString().slice(0, 10)}.${format}`;
+  await shareFile(text, filename, mimeType, `${rows.length} missing cards.`);
+}
+
+// ── Want List ──
+const WANT_PRIORITIES = { high: 'High', medium: 'Medium', low: 'Low' };
+
+function getWantedKeys() {
+  return new Set(wantList.map(w => `${w.product}|${w.set}|${w.card_number}`));
+}
+
+// A want is fulfilled by a pending add or collection entry of the card (and its parallel, if set)
+function isWantFulfilled(want) {
+  const matches = e => e.product === want.product && e.set === want.set &&
+    e.card_number === want.card_number && (!want.parallel || (e.parallel || 'Base') === want.parallel);
+  return pendingList.some(e => e.action === 'add' && matches(e)) ||
+    !!(catalog && catalog.collection && catalog.collection.some(matches));
+}
+
+async function clearFulfilledWants() {
+  const fulfilled = wantList.filter(isWantFulfilled);
+  if (!fulfilled.length) return;
+  // Claim them before the first await so an overlapping run (catalog load and a
+  // pending change together) doesn't delete and announce the same wants again
+  const ids = new Set(fulfilled.map(w => w.id));
+  wantList = wantList.filter(w => !ids.has(w.id));
+  try {
+    for (const w of fulfilled) await deleteWant(w.id);
+  } catch (err) {
+    console.warn('Failed to clear fulfilled wants', err);
+    // Put back whatever is still stored
+    const stored = await getAllWants().then(all => new Set(all.map(w => w.id))).catch(() => null);
+    wantList.push(...fulfilled.filter(w => !stored || stored.has(w.id)));
+    return;
+  }
+  showToast(fulfilled.length === 1
+    ? `#${fulfilled[0].card_number} ${fulfilled[0].player || ''} removed from want list`
+    : `${fulfilled.length} cards removed from want list`);
+  updateWantsNote();
+  renderCards();
+  if (session.active) renderSessionCards();
+  renderCollectionView();
+}
+
+// Add or edit a want. Wants are keyed by card and parallel ("Any" is its own key),
+// so saving onto a key that's already wanted edits that want rather than duplicating it.
+function openWantForm(card, product, set, existing = null) {
+  const cardWants = wantList.filter(w =>
+    w.product === product.name && w.set === set.name && w.card_number === card.number);
+  existing = existing || cardWants.find(w => !w.parallel) || null;
+  const others = cardWants.filter(w => w !== existing);
+  const priority = existing ? existing.priority : 'medium';
+
+  const body = openDetailSheet(
+    `${existing ? 'Wanted' : 'Want'} — #${card.number} ${card.player || card.card_name || ''}`,
+    `${product.name} — ${set.name}`,
+    `
+    ${others.length ? `<div class="result-note">Also wanted: ${others.map(w => esc(w.parallel || 'Any')).join(', ')}</div>` : ''}
+    <label>Parallel</label>
+    <div id="wantParallel" class="tag-group">
+      <div class="tag-chip${!existing || !existing.parallel ? ' selected' : ''}" data-value="">Any</div>
+      ${set.parallels.map(p => {
+        const style = p.color_hex ? `border-color:${p.color_hex}` : '';
+        const sel = existing && existing.parallel === p.name ? ' selected' : '';
+        return `<div class="tag-chip${sel}" data-value="${esc(p.name)}" style="${style}">${esc(p.name)}${p.serial_numbered ? ' /' + p.serial_numbered : ''}</div>`;
+      }).join('')}
+    </div>
+    <label>Target Price</label>
+    <input id="wantPrice" type="number" min="0" step="0.01" inputmode="decimal" placeholder="Optional" value="${existing && existing.target_price != null ? existing.target_price : ''}">
+    <label>Priority</label>
+    <div id="wantPriority" class="tag-group">
+      ${Object.entries(WANT_PRIORITIES).map(([value, label]) =>
+        `<div class="tag-chip${value === priority ? ' selected' : ''}" data-value="${value}">${label}</div>`).join('')}
+    </div>
+    <label>Notes</label>
+    <input id="wantNotes" type="text" placeholder="Optional notes..." value="${existing ? esc(existing.notes) : ''}">
+    <div class="detail-actions">
+      ${existing ? '<button class="btn btn-red" id="wantRemoveBtn">Remove</button>' : ''}
+      <button class="btn btn-green" id="wantSaveBtn">${existing ? 'Save' : 'Add to Want List'}</button>
+    </div>`
+  );
+  wireTagGroup($('wantParallel'));
+  wireTagGroup($('wantPriority'));
+
+  body.querySelector('#wantSaveBtn').addEventListener('click', async () => {
+    const price = $('wantPrice').value.trim();
+    if (price !== '' && !(+price >= 0)) { showToast('Enter a valid target price.'); return; }
+    const want = {
+      ...(existing || {}),
+      product: product.name,
+      set: set.name,
+      card_number: card.number,
+      parallel: getSelected($('wantParallel')) || null,
+      player: card.player,
+      team: card.team,
+      target_price: price === '' ? null : Math.round(+price * 100) / 100,
+      priority: getSelected($('wantPriority')) || 'medium',
+      notes: $('wantNotes').value.trim() || null,
+      added_at: existing ? existing.added_at : new Date().toISOString(),
+      profile: activeProfileId,
+    };
+    if (isWantFulfilled(want)) {
+      showToast(want.parallel ? `You already have the ${want.parallel}.` : 'You already have this card — pick a parallel.', 3000);
+      return;
+    }
+    const same = others.find(w => (w.parallel || null) === want.parallel);
+    if (same && existing) {
+      showToast(`${want.parallel || 'Any parallel'} is already on your want list.`, 3000);
+      return;
+    }
+    if (same) {
+      want.id = same.id;
+      want.added_at = same.added_at;
+    }
+    try {
+      if (same) {
+        await updateWant(want);
+        wantList = wantList.map(w => w.id === want.id ? want : w);
+      } else if (existing) {
+        await updateWant(want);
+        wantList = wantList.map(w => w.id === want.id ? want : w);
+      } else {
+        want.id = await addWant(want);
+        wantList.push(want);
+      }
+    } catch (err) {
+      showToast('Failed to save want: ' + err.message, 3000);
+      return;
+    }
+    closeDetailSheet();
+    onWantsChanged();
+    showToast(existing || same ? 'Want updated.' : 'Added to want list.');
+  });
+
+  if (existing) {
+    body.querySelector('#wantRemoveBtn').addEventListener('click', async () => {
+      await deleteWant(existing.id);
+      wantList = wantList.filter(w => w.id !== existing.id);
+      closeDetailSheet();
+      onWantsChanged();
+    });
+  }
+}
+
+function onWantsChanged() {
+  updateWantsNote();
+  renderCards();
+  if (session.active) renderSessionCards();
+  renderCollectionView();
+}
+
+function renderWantList() {
+  const el = $('wantListEl');
+  $('wantCount').textContent = wantList.length ? `${wantList.length} wanted` : '';
+  if (!wantList.length) {
+    el.innerHTML = '<div class="empty-state"><div class="icon">&#x2B50;</div><p>No wanted cards. Tap the star on a card in Browse or Session to add one.</p></div>';
+    return;
+  }
 
-  pendingListEl.innerHTML = pendingList.map(e => `
-    <div class="pending-item" data-id="${e.id}">
-      <div class="pending-info">
-        <div class="pending-title">#${esc(e.card_number)} ${esc(e.player || '')} — ${esc(e.parallel)}</div>
-        <div class="pending-sub">${esc(e.product)} / ${esc(e.set)}${e.quantity > 1 ? ' (x' + e.quantity + ')' : ''}${e.serial_number ? ' #' + esc(e.serial_number) : ''}</div>
-      </div>
-      <button class="pending-delete" data-id="${e.id}">&times;</button>
-    </div>
-  `).join('');
+  const order = Object.keys(WANT_PRIORITIES);
+  const wants = [...wantList].sort((a, b) =>
+    order.indexOf(a.priority) - order.indexOf(b.priority) ||
+    a.product.localeCompare(b.product) || a.set.localeCompare(b.set) ||
+    a.card_number.localeCompare(b.card_number, undefined, { numeric: true })
+  );
 
-  pendingListEl.querySelectorAll('.pending-delete').forEach(btn => {
-    btn.addEventListener('click', async (ev) => {
-      ev.stopPropagation();
-      const id = +btn.dataset.id;
-      await deletePending(id);
-      pendingList = pendingList.filter(e => e.id !== id);
-      updatePendingBadge();
-      renderPendingList();
+  el.innerHTML = wants.map(w => `
+    <div class="card-item" data-id="${w.id}">
+      <span class="card-num">${esc(w.card_number)}</span>
+      <div class="card-info">
+        <div class="card-player">${entityLink('player', w.player)}${w.parallel ? ' — ' + esc(w.parallel) : ''}</div>
+        <div class="card-team">${esc(w.product)} / ${esc(w.set)}${w.notes ? ' · ' + esc(w.notes) : ''}</div>
+      </div>
+      ${w.target_price != null ? `<span class="card-price">$${w.target_price.toFixed(2)}</span>` : ''}
+      <span class="want-priority ${esc(w.priority)}">${WANT_PRIORITIES[w.priority] || ''}</span>
+    </div>`).join('');
+  wireEntityLinks(el);
+
+  el.querySelectorAll('.card-item').forEach(row => {
+    row.addEventListener('click', () => {
+      const want = wantList.find(w => w.id === +row.dataset.id);
+      const product = want && catalog && catalog.products.find(p => p.name === want.product);
+      const set = product && product.sets.find(s => s.name === want.set);
+      const card = set && set.cards.find(c => c.number === want.card_number);
+      if (card) openWantForm(card, product, set, want);
+      else showToast('This card is no longer in the catalog.');
     });
   });
 }
 
-// ── Export ──
-async function onExport() {
-  if (!pendingList.length) {
-    showToast('No pending changes to export.');
-    return;
+// ── Value ──
+// Totals come from the catalog's median prices. Copies without one add nothing,
+// so every total carries how many of its copies were actually priced.
+const VALUE_GROUPS = {
+  sport: (e, product) => (product && product.sport) || 'Unknown sport',
+  product: (e, product) => product ? `${product.year} ${product.name}` : e.product,
+  set: (e, product) => `${product ? product.year + ' ' : ''}${e.product} — ${e.set}`,
+  location: e => (e.tags && e.tags.location) || 'No location',
+  status: e => (e.tags && e.tags.status) || 'No status',
+};
+const TOP_CARDS = 10;
+
+// Adds one entry's copies to a running { value, priced, copies } total
+function tallyValue(total, quantity, price) {
+  total.copies += quantity;
+  if (price) {
+    total.value += price * quantity;
+    total.priced += quantity;
   }
+  return total;
+}
 
-  const exportData = {
-    format_version: 1,
-    export_id: crypto.randomUUID(),
-    exported_at: new Date().toISOString(),
-    changes: pendingList.map(e => ({
-      action: e.action,
-      product: e.product,
-      set: e.set,
-      card_number: e.card_number,
-      parallel: e.parallel,
-      quantity: e.quantity,
-      serial_number: e.serial_number,
-      grade: e.grade,
-      notes: e.notes,
-      tags: e.tags || {},
-    })),
-  };
-
-  const jsonStr = JSON.stringify(exportData, null, 2);
-  const blob = new Blob([jsonStr], { type: 'application/json' });
-  const filename = generateExportFilename(pendingList.length);
-  const file = new File([blob], filename, { type: 'application/json' });
+function coverageNote(t) {
+  return `${t.priced} of ${t.copies} ${t.copies === 1 ? 'copy' : 'copies'} priced`;
+}
 
-  // Try Web Share API first (works on iOS Safari)
-  if (navigator.canShare && navigator.canShare({ files: [file] })) {
-    try {
-      await navigator.share({ files: [file] });
-      return;
-    } catch (err) {
-      if (err.name === 'AbortError') return; // user cancelled
-      // Fall through to copy fallback
-    }
+function renderValue() {
+  const summary = $('valueSummary');
+  const list = $('valueList');
+  const collection = (catalog && catalog.collection) || [];
+  if (!collection.length) {
+    summary.style.display = 'none';
+    list.innerHTML = `<div class="empty-state"><div class="icon">&#x1F4B0;</div><p>${catalog ? 'The catalog has no collection to value.' : 'Load a catalog from the Settings tab to get started.'}</p></div>`;
+    return;
   }
 
-  // Fallback: show JSON in a copyable textarea
-  const overlay = document.createElement('div');
-  overlay.className = 'sheet-overlay visible';
-  overlay.style.display = 'flex';
-  overlay.style.alignItems = 'center';
-  overlay.style.justifyContent = 'center';
-  overlay.style.padding = '20px';
+  const products = new Map(catalog.products.map(p => [p.name, p]));
+  const groupKey = VALUE_GROUPS[getSelected($('valueGroupBy'))] || VALUE_GROUPS.product;
+  const total = { value: 0, priced: 0, copies: 0 };
+  const groups = new Map();
+  collection.forEach(e => {
+    tallyValue(total, e.quantity, e.median_price);
+    const key = groupKey(e, products.get(e.product));
+    if (!groups.has(key)) groups.set(key, { value: 0, priced: 0, copies: 0 });
+    tallyValue(groups.get(key), e.quantity, e.median_price);
+  });
 
-  const box = document.createElement('div');
-  box.style.cssText = 'background:var(--bg2); padding:16px; border-radius:12px; width:100%; max-width:400px; max-height:80vh; display:flex; flex-direction:column; gap:8px;';
-  box.innerHTML = `
-    <h3 style="color:var(--text)">Export JSON</h3>
-    <p style="font-size:13px; color:var(--text2);">${pendingList.length} changes. Save as <strong style="color:var(--text)">${esc(filename)}</strong></p>
-    <textarea class="export-area" style="flex:1; min-height:200px; width:100%; background:var(--bg); color:var(--text); border:1px solid var(--border); border-radius:8px; padding:8px; font-family:monospace; font-size:11px;" readonly></textarea>
-    <button class="btn" id="copyExportBtn">Copy to Clipboard</button>
-    <button class="btn btn-outline" id="closeExportBtn">Close</button>
-  `;
+  // Unexported adds, priced like the same card and parallel already in the collection
+  const priceIndex = buildPriceIndex();
+  const pendingTotal = { value: 0, priced: 0, copies: 0 };
+  pendingList.filter(e => e.action === 'add' && !isExported(e)).forEach(e => {
+    tallyValue(pendingTotal, e.quantity || 1, priceIndex.get(`${e.product}|${e.set}|${e.card_number}|${e.parallel}`));
+  });
 
-  overlay.appendChild(box);
-  document.body.appendChild(overlay);
-  const ta = box.querySelector('textarea');
-  ta.value = jsonStr;
+  const pct = total.copies ? Math.floor(total.priced / total.copies * 100) : 0;
+  summary.style.display = '';
+  summary.innerHTML = `
+    <span>Collection ${money(total.value)}</span>
+    <span>${coverageNote(total)} (${pct}%)</span>
+    ${pendingTotal.copies ? `<span>Pending adds est. ${money(pendingTotal.value)} · ${coverageNote(pendingTotal)}</span>` : ''}
+    <div class="progress"><div class="progress-fill" style="width:${pct}%"></div></div>`;
+
+  const rows = [...groups].sort((a, b) => b[1].value - a[1].value || a[0].localeCompare(b[0]));
+  const cardName = e => {
+    const product = products.get(e.product);
+    const set = product && product.sets.find(s => s.name === e.set);
+    const card = set && set.cards.find(c => c.number === e.card_number);
+    return card ? card.player || card.card_name || '' : '';
+  };
+  const top = collection
+    .filter(e => e.median_price)
+    .sort((a, b) => b.median_price - a.median_price)
+    .slice(0, TOP_CARDS);
 
-  box.querySelector('#copyExportBtn').addEventListener('click', async () => {
-    try {
-      await navigator.clipboard.writeText(jsonStr);
-      box.querySelector('#copyExportBtn').textContent = 'Copied!';
-      setTimeout(() => { box.querySelector('#copyExportBtn').textContent = 'Copy to Clipboard'; }, 2000);
-    } catch {
-      ta.select();
-      document.execCommand('copy');
-    }
-  });
+  list.innerHTML = rows.map(([key, t]) => `
+    <div class="card-item">
+      <div class="card-info">
+        <div class="card-player">${esc(key)}</div>
+        <div class="card-team">${coverageNote(t)}</div>
+      </div>
+      <span class="value-total">${money(t.value)}</span>
+    </div>`).join('') +
+    (top.length ? `<div class="result-group">Top Cards</div>` + top.map(e => `
+    <div class="card-item">
+      <span class="card-num">${esc(e.card_number)}</span>
+      <div class="card-info">
+        <div class="card-player">${esc(cardName(e))} — ${esc(e.parallel || 'Base')}</div>
+        <div class="card-team">${esc(e.product)} / ${esc(e.set)}${e.grade ? ' · ' + esc(e.grade) : ''}${e.quantity > 1 ? ' · x' + e.quantity : ''}</div>
+      </div>
+      <span class="value-total">${money(e.median_price)}</span>
+    </div>`).join('') : '');
+}
 
-  const closeExport = () => { overlay.remove(); };
-  box.querySelector('#closeExportBtn').addEventListener('click', closeExport);
-  overlay.addEventListener('click', e => { if (e.target === overlay) closeExport(); });
+// ── Stats ──
+// Each breakdown maps a collection copy, resolved against the checklist, to the
+// rows it counts toward. The same function filters Browse when a row is tapped.
+const STAT_BREAKDOWNS = [
+  { label: 'Sport', keys: ({ product }) => [product.sport] },
+  { label: 'Year', keys: ({ product }) => [product.year] },
+  { label: 'Product', keys: ({ product }) => [`${product.year} ${product.name}`] },
+  { label: 'Team', keys: ({ card }) => [card.team || 'No team'] },
+  { label: 'Rookies & Short Prints', keys: ({ card }) => [card.rookie && 'Rookies', card.sp && 'Short prints'].filter(Boolean) },
+  { label: 'Graded vs. Raw', keys: ({ entry }) => [entry.grade ? 'Graded' : 'Raw'] },
+  { label: 'Serial-Numbered Parallels', keys: ({ parallel }) => parallel && parallel.serial_numbered ? [`${parallel.name} /${parallel.serial_numbered}`] : [] },
+];
+
+// Collection copies that resolve to a checklist card, plus how many don't
+function resolveCollection() {
+  const resolved = [];
+  let unresolved = 0;
+  const products = new Map(catalog.products.map(p => [p.name, p]));
+  catalog.collection.forEach(entry => {
+    const product = products.get(entry.product);
+    const set = product && product.sets.find(s => s.name === entry.set);
+    const card = set && set.cards.find(c => c.number === entry.card_number);
+    if (!card) { unresolved++; return; }
+    resolved.push({ entry, product, set, card, parallel: set.parallels.find(p => p.name === (entry.parallel || 'Base')) });
+  });
+  return { resolved, unresolved };
 }
 
-async function onClearAll() {
-  if (!pendingList.length) return;
-  const message = `You have ${pendingList.length} unexported changes. Clear anyway?`;
-  if (!confirm(message)) return;
-  await clearAllPending();
-  pendingList = [];
-  updatePendingBadge();
-  renderPendingList();
+function renderStats() {
+  const list = $('statsList');
+  if (!catalog || !catalog.collection || !catalog.collection.length) {
+    list.innerHTML = `<div class="empty-state"><div class="icon">&#x1F4C8;</div><p>${catalog ? 'The catalog has no collection to count.' : 'Load a catalog from the Settings tab to get started.'}</p></div>`;
+    return;
+  }
+
+  const { resolved, unresolved } = resolveCollection();
+  const copies = resolved.reduce((a, r) => a + r.entry.quantity, 0);
+  const cards = new Set(resolved.map(r => `${r.product.name}|${r.set.name}|${r.card.number}`)).size;
+  const rowFilters = [];
+  let html = `<div class="result-note">${copies} cop${copies === 1 ? 'y' : 'ies'} of ${cards} card${cards === 1 ? '' : 's'}` +
+    `${unresolved ? ` · ${unresolved} collection entr${unresolved === 1 ? 'y' : 'ies'} not in the checklist` : ''}</div>`;
+
+  STAT_BREAKDOWNS.forEach(breakdown => {
+    const rows = new Map(); // key → { copies, cards: Set }
+    resolved.forEach(r => breakdown.keys(r).forEach(key => {
+      if (!rows.has(key)) rows.set(key, { copies: 0, cards: new Set() });
+      const row = rows.get(key);
+      row.copies += r.entry.quantity;
+      row.cards.add(`${r.product.name}|${r.set.name}|${r.card.number}`);
+    }));
+    if (!rows.size) return;
+    html += `<div class="result-group">${esc(breakdown.label)}</div>`;
+    [...rows].sort((a, b) => b[1].copies - a[1].copies || String(a[0]).localeCompare(String(b[0]))).forEach(([key, row]) => {
+      rowFilters.push({ label: `${breakdown.label}: ${key}`, match: ctx => breakdown.keys(ctx).includes(key) });
+      html += `
+      <div class="card-item stat-row" data-idx="${rowFilters.length - 1}">
+        <div class="card-info">
+          <div class="card-player">${esc(key)}</div>
+          <div class="card-team">${row.cards.size} card${row.cards.size === 1 ? '' : 's'}</div>
+        </div>
+        <span class="comp-pct">${row.copies}</span>
+      </div>`;
+    });
+  });
+  list.innerHTML = html;
+
+  list.querySelectorAll('.stat-row').forEach(el => {
+    el.addEventListener('click', () => {
+      browseFilter = rowFilters[+el.dataset.idx];
+      switchTab('browse');
+      renderCards();
+    });
+  });
 }
 
 // ══════════════════════════════════════
@@ -716,9 +3339,8 @@ async function onClearAll() {
 // ══════════════════════════════════════
 
 function onSessSportChanged() {
-  if (!catalog) return;
   const sport = sessSportSelect.value;
-  const products = catalog.products
+  const products = (catalog ? catalog.products : [])
     .filter(p => !sport || p.sport === sport)
     .sort((a, b) => b.year.localeCompare(a.year) || a.name.localeCompare(b.name));
   sessProductSelect.innerHTML = '<option value="">-- Select Product --</option>' +
@@ -802,24 +3424,205 @@ function startSession() {
   session.activeParallel = selectedParallelNames[0];
   session.location = loc;
   session.entries = [];
+  session.started_at = new Date().toISOString();
+  session.breaks = [];
+
+  showActiveSession();
+  saveSession();
+}
 
+function showActiveSession() {
   sessSetup.style.display = 'none';
+  sessSummary.style.display = 'none';
   sessActive.style.display = 'flex';
   sessActive.style.flexDirection = 'column';
 
-  sessProductLabel.textContent = product.year + ' ' + product.name;
-  sessLocationLabel.textContent = loc;
-  sessCountLabel.textContent = '0 added';
+  sessProductLabel.textContent = session.product.year + ' ' + session.product.name;
+  sessLocationLabel.textContent = session.location;
+  sessCountLabel.textContent = session.entries.length + ' added';
+  undoBtn.style.display = session.entries.length ? 'block' : 'none';
 
+  renderBreakBar();
   renderSessionSetBar();
   renderSessionParallelBar();
   renderSessionCards();
 }
 
+// ── Session Persistence ──
+// The active session is saved by name so it can be rebuilt against the stored catalog
+function saveSession() {
+  const save = session.active
+    ? putMeta(profileKey('session'), {
+        product: session.product.name,
+        location: session.location,
+        selectedSets: session.selectedSets,
+        selectedParallels: session.selectedParallels,
+        activeSet: session.activeSet ? session.activeSet.name : null,
+        activeParallel: session.activeParallel,
+        entries: session.entries,
+        started_at: session.started_at,
+        breaks: session.breaks,
+      })
+    : deleteMeta(profileKey('session'));
+  save.catch(err => console.warn('Failed to save session', err));
+}
+
+async function restoreSession() {
+  let saved;
+  try {
+    saved = await getMeta(profileKey('session'));
+  } catch (err) {
+    console.warn('Failed to load saved session', err);
+    return;
+  }
+  if (!saved) return;
+
+  const product = catalog.products.find(p => p.name === saved.product);
+  const sets = product ? product.sets.filter(s => saved.selectedSets.includes(s.name)) : [];
+  if (!sets.length) {
+    showToast('Saved session no longer matches the catalog and was closed.', 4000);
+    saveSession();
+    return;
+  }
+
+  // Undo history only covers entries that are still pending
+  const pendingIds = new Set(pendingList.map(e => e.id));
+  session.active = true;
+  session.product = product;
+  session.selectedSets = sets.map(s => s.name);
+  session.selectedParallels = saved.selectedParallels;
+  session.activeSet = sets.find(s => s.name === saved.activeSet) || sets[0];
+  session.activeParallel = saved.activeParallel;
+  session.location = saved.location;
+  session.entries = saved.entries.filter(e => pendingIds.has(e.id));
+  session.started_at = saved.started_at || new Date().toISOString();
+  session.breaks = saved.breaks || [];
+
+  showActiveSession();
+  switchTab('session');
+  showToast('Session resumed.');
+}
+
+// Ending a session with adds goes through the summary; an empty one just closes
 function endSession() {
-  const count = session.entries.length;
-  if (count > 0 && !confirm(`End session? ${count} card(s) added to pending.`)) return;
+  if (!session.entries.length) {
+    resetSession();
+    return;
+  }
+  showSessionSummary();
+}
+
+// Full pending entries for the session's undo stack, skipping any deleted since
+function getSessionPendingEntries() {
+  const ids = new Set(session.entries.map(e => e.id));
+  return pendingList.filter(e => ids.has(e.id));
+}
+
+function showSessionSummary() {
+  const entries = getSessionPendingEntries();
+  sessActive.style.display = 'none';
+  undoBtn.style.display = 'none';
+  sessSummary.style.display = 'block';
+
+  $('sessSummaryInfo').textContent = `${session.product.year} ${session.product.name} · ${session.location} · ` +
+    `${formatSessionTime(session.started_at, new Date().toISOString())}`;
+  $('sessSummaryBreakdown').innerHTML = renderSessionBreakdown(entries) +
+    renderBoxReports(session.breaks, withBreakLinks(entries));
+
+  buildTagPicker($('sessBulkStatus'), catalog.tags.status || []);
+  buildTagPicker($('sessBulkPrice'), catalog.tags.price_bucket || []);
+  buildTagPicker($('sessBulkLocation'), catalog.tags.location || []);
+  // Nothing selected means "leave as is"
+  [$('sessBulkStatus'), $('sessBulkPrice'), $('sessBulkLocation')].forEach(c => clearAllChips(c));
+}
+
+// Per set, per parallel copy counts
+function renderSessionBreakdown(entries) {
+  if (!entries.length) return '<div class="empty-state"><p>No cards in this session.</p></div>';
+  const bySet = new Map();
+  entries.forEach(e => {
+    if (!bySet.has(e.set)) bySet.set(e.set, new Map());
+    const parallels = bySet.get(e.set);
+    parallels.set(e.parallel, (parallels.get(e.parallel) || 0) + (e.quantity || 1));
+  });
+  const total = entries.reduce((a, e) => a + (e.quantity || 1), 0);
+  return `<div class="result-note">${total} card${total === 1 ? '' : 's'} in ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}</div>` +
+    [...bySet].map(([setName, parallels]) => `
+      <div class="result-group">${esc(setName)} — ${[...parallels.values()].reduce((a, n) => a + n, 0)}</div>
+      ${[...parallels].map(([name, n]) => `
+        <div class="summary-row"><span>${esc(name)}</span><span>${n}</span></div>`).join('')}`
+    ).join('');
+}
+
+function formatSessionTime(start, end) {
+  const s = new Date(start);
+  const mins = Math.max(0, Math.round((new Date(end) - s) / 60000));
+  const duration = mins >= 60 ? `${Math.floor(mins / 60)}h ${mins % 60}m` : `${mins}m`;
+  return `${s.toLocaleDateString()} ${s.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })} (${duration})`;
+}
+
+async function applySessionBulkTags() {
+  const updates = {};
+  const status = getSelected($('sessBulkStatus'));
+  const price = getSelected($('sessBulkPrice'));
+  const loc = getSelected($('sessBulkLocation'));
+  if ($('sessBulkStatus').querySelector('.selected')) updates.status = status;
+  if ($('sessBulkPrice').querySelector('.selected')) updates.price_bucket = price;
+  if ($('sessBulkLocation').querySelector('.selected')) updates.location = loc;
+  if (!Object.keys(updates).length) { showToast('Pick a tag to apply.'); return; }
+
+  const entries = getSessionPendingEntries();
+  try {
+    for (const entry of entries) {
+      const tags = { ...(entry.tags || {}) };
+      Object.entries(updates).forEach(([group, value]) => {
+        if (value) tags[group] = value;
+        else delete tags[group];
+      });
+      const updated = { ...entry, tags };
+      await updatePending(updated);
+      pendingList = pendingList.map(e => e.id === updated.id ? updated : e);
+    }
+  } catch (err) {
+    showToast('Failed to update entries: ' + err.message, 3000);
+    return;
+  }
+  showToast(`Tags applied to ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}.`);
+  showSessionSummary();
+}
+
+async function finishSession() {
+  const entries = getSessionPendingEntries();
+  const record = {
+    started_at: session.started_at,
+    ended_at: new Date().toISOString(),
+    product: session.product.name,
+    year: session.product.year,
+    location: session.location,
+    sets: session.selectedSets,
+    breaks: session.breaks,
+    entries: withBreakLinks(entries),
+    profile: activeProfileId,
+  };
+  try {
+    record.id = await addSession(record);
+  } catch (err) {
+    showToast('Failed to save session: ' + err.message, 3000);
+    return;
+  }
+  sessionHistory.unshift(record);
+  resetSession();
+  renderSessionHistory();
+  switchTab('pending');
+}
+
+function resetSession() {
+  clearSessionState();
+  saveSession();
+}
 
+// Drop the in-memory session and return to setup, leaving any saved copy alone
+function clearSessionState() {
   session.active = false;
   session.product = null;
   session.selectedSets = [];
@@ -828,13 +3631,262 @@ function endSession() {
   session.activeParallel = null;
   session.location = null;
   session.entries = [];
+  session.started_at = null;
+  session.breaks = [];
 
   sessActive.style.display = 'none';
+  sessSummary.style.display = 'none';
   sessSetup.style.display = 'block';
   undoBtn.style.display = 'none';
   sessCardSearch.value = '';
+}
+
+// ── Breaks ──
+const BOX_TYPES = ['Hobby', 'Jumbo', 'Blaster', 'Mega', 'Hanger', 'Cello', 'Value'];
+
+function currentBox() {
+  return session.breaks.length ? session.breaks[session.breaks.length - 1] : null;
+}
+
+// Box/pack stamp for a session entry, empty when no box is being logged
+function currentBreakLink() {
+  const box = currentBox();
+  return box ? { box: box.box, pack: box.packs } : {};
+}
+
+function renderBreakBar() {
+  const box = currentBox();
+  $('breakLabel').textContent = box
+    ? `Box ${box.box}${box.type ? ' · ' + box.type : ''} · Pack ${box.packs}`
+    : 'No box logged';
+  $('nextBoxBtn').textContent = box ? 'Next Box' : 'Start Box';
+}
+
+function openBoxForm() {
+  const last = currentBox();
+  const body = openDetailSheet(
+    last ? `Start Box ${last.box + 1}` : 'Start Box',
+    'Cards tapped from now on are linked to this box.',
+    `
+    <label>Box Type</label>
+    <input id="boxType" type="text" list="boxTypeOptions" placeholder="e.g. Hobby" value="${last ? esc(last.type) : ''}">
+    <datalist id="boxTypeOptions">${BOX_TYPES.map(t => `<option value="${t}">`).join('')}</datalist>
+    <label>Cost</label>
+    <input id="boxCost" type="number" min="0" step="0.01" inputmode="decimal" placeholder="0.00" value="${last && last.cost != null ? last.cost : ''}">
+    <div class="detail-actions">
+      <button class="btn btn-green" id="boxStartBtn">Start Box</button>
+    </div>`
+  );
+  body.querySelector('#boxStartBtn').addEventListener('click', () => {
+    const cost = $('boxCost').value.trim();
+    if (cost !== '' && !(+cost >= 0)) { showToast('Enter a valid cost.'); return; }
+    session.breaks.push({
+      box: last ? last.box + 1 : 1,
+      type: $('boxType').value.trim() || null,
+      cost: cost === '' ? null : Math.round(+cost * 100) / 100,
+      packs: 1,
+    });
+    saveSession();
+    renderBreakBar();
+    closeDetailSheet();
+  });
+}
+
+function nextPack() {
+  const box = currentBox();
+  if (!box) { openBoxForm(); return; }
+  box.packs++;
+  saveSession();
+  renderBreakBar();
+  showToast(`Pack ${box.packs}`, 1000);
+}
+
+// Copies of the session's pending entries carrying their box/pack stamps
+function withBreakLinks(entries) {
+  const links = new Map(session.entries.map(e => [e.id, e]));
+  return entries.map(e => {
+    const link = links.get(e.id) || {};
+    return { ...e, box: link.box, pack: link.pack };
+  });
+}
+
+// A hit is anything off the base checklist's base parallel: insert/auto sets or colored parallels
+function isHit(entry) {
+  const product = catalog && catalog.products.find(p => p.name === entry.product);
+  const set = product && product.sets.find(s => s.name === entry.set);
+  if (!set) return false;
+  const parallel = set.parallels.find(p => p.name === entry.parallel);
+  return set.type !== 'base' || !!(parallel && !parallel.is_base);
+}
+
+// "product|set|card_number|parallel" → median_price from the collection
+function buildPriceIndex() {
+  const index = new Map();
+  if (!catalog || !catalog.collection) return index;
+  catalog.collection.forEach(e => {
+    if (e.median_price) index.set(`${e.product}|${e.set}|${e.card_number}|${e.parallel || 'Base'}`, e.median_price);
+  });
+  return index;
+}
+
+// Pull counts are in cards, so an entry's quantity counts in full everywhere
+function countPulled(entries) {
+  return entries.reduce((a, e) => a + (e.quantity || 1), 0);
+}
+
+function summarizeHits(entries, priceIndex) {
+  const hits = entries.filter(isHit);
+  let value = 0;
+  let priced = 0;
+  hits.forEach(e => {
+    const price = priceIndex.get(`${e.product}|${e.set}|${e.card_number}|${e.parallel}`);
+    if (price) { value += price * (e.quantity || 1); priced += e.quantity || 1; }
+  });
+  return { hits, hitCount: countPulled(hits), value, priced };
+}
+
+function money(n) {
+  return '$' + n.toFixed(2);
+}
+
+function renderBoxReports(breaks, entries) {
+  if (!breaks.length) return '';
+  const priceIndex = buildPriceIndex();
+  return '<div class="result-group">Boxes</div>' + breaks.map(box => {
+    const boxEntries = entries.filter(e => e.box === box.box);
+    const { hits, hitCount, value, priced } = summarizeHits(boxEntries, priceIndex);
+    const cards = countPulled(boxEntries);
+    const costPerHit = box.cost != null && hitCount ? ` · ${money(box.cost / hitCount)}/hit` : '';
+    return `
+      <div class="copy-item" style="padding:8px 16px">
+        <div class="copy-title">Box ${box.box}${box.type ? ' — ' + esc(box.type) : ''}${box.cost != null ? ' · ' + money(box.cost) : ''} · ${box.packs} pack${box.packs === 1 ? '' : 's'}</div>
+        <div class="copy-sub">${cards} card${cards === 1 ? '' : 's'} · ${hitCount} hit${hitCount === 1 ? '' : 's'}${costPerHit}${hitCount ? ` · est. ${money(value)} (${priced}/${hitCount} priced)` : ''}</div>
+        ${hits.map(e => `<div class="copy-sub">#${esc(e.card_number)} ${esc(e.player || '')} — ${esc(e.set)} ${esc(e.parallel)}${e.quantity > 1 ? ' x' + e.quantity : ''}${e.pack ? ` (pack ${e.pack})` : ''}</div>`).join('')}
+      </div>`;
+  }).join('');
+}
+
+// Observed pull rates across every finished session of a product that logged boxes
+function openPullRateReport(product) {
+  const records = sessionHistory.filter(h => h.product === product.name && h.breaks && h.breaks.length);
+  if (!records.length) {
+    openDetailSheet(`Pull Rates — ${product.year} ${product.name}`, '',
+      '<div class="empty-state"><p>No logged breaks for this product yet. Use Start Box / Next Pack during a session.</p></div>');
+    return;
+  }
+
+  let boxes = 0;
+  let packs = 0;
+  let cost = 0;
+  let costedHits = 0;
+  const entries = [];
+  const priceIndex = buildPriceIndex();
+  records.forEach(h => {
+    h.breaks.forEach(box => {
+      boxes++;
+      packs += box.packs;
+      const boxEntries = h.entries.filter(e => e.box === box.box);
+      entries.push(...boxEntries);
+      if (box.cost != null) {
+        cost += box.cost;
+        costedHits += countPulled(boxEntries.filter(isHit));
+      }
+    });
+  });
+
+  const { hitCount, value, priced } = summarizeHits(entries, priceIndex);
+  const count = (key, list) => {
+    const map = new Map();
+    list.forEach(e => map.set(e[key], (map.get(e[key]) || 0) + (e.quantity || 1)));
+    return [...map].sort((a, b) => b[1] - a[1]);
+  };
+  const rate = n => n ? `1:${(packs / n).toFixed(1)} packs` : '';
+  const rows = list => list.map(([name, n]) =>
+    `<div class="summary-row"><span>${esc(name)}</span><span>${n} · ${rate(n)}</span></div>`).join('');
+
+  const nonBase = entries.filter(e => {
+    const set = product.sets.find(s => s.name === e.set);
+    const parallel = set && set.parallels.find(p => p.name === e.parallel);
+    return parallel && !parallel.is_base;
+  });
+  const inserts = entries.filter(e => {
+    const set = product.sets.find(s => s.name === e.set);
+    return set && set.type !== 'base';
+  });
+
+  openDetailSheet(
+    `Pull Rates — ${product.year} ${product.name}`,
+    `${boxes} box${boxes === 1 ? '' : 'es'} · ${packs} packs · ${records.length} session${records.length === 1 ? '' : 's'}`,
+    `
+    <div class="summary-row"><span>Cards logged</span><span>${countPulled(entries)}</span></div>
+    <div class="summary-row"><span>Hits</span><span>${hitCount} · ${rate(hitCount)}</span></div>
+    ${cost ? `<div class="summary-row"><span>Spent</span><span>${money(cost)}</span></div>` : ''}
+    ${cost && costedHits ? `<div class="summary-row"><span>Cost per hit</span><span>${money(cost / costedHits)}</span></div>` : ''}
+    ${hitCount ? `<div class="summary-row"><span>Est. hit value (${priced}/${hitCount} priced)</span><span>${money(value)}</span></div>` : ''}
+    ${nonBase.length ? '<div class="result-group">Parallels</div>' + rows(count('parallel', nonBase)) : ''}
+    ${inserts.length ? '<div class="result-group">Insert Sets</div>' + rows(count('set', inserts)) : ''}`
+  );
+}
 
-  if (count > 0) switchTab('pending');
+// ── Session History ──
+async function loadSessionHistory() {
+  try {
+    sessionHistory = (await getAllSessions()).filter(h => inProfile(h)).sort((a, b) => b.ended_at.localeCompare(a.ended_at));
+  } catch (err) {
+    console.warn('Failed to load session history', err);
+  }
+  renderSessionHistory();
+}
+
+function renderSessionHistory() {
+  const el = $('sessHistoryList');
+  if (!sessionHistory.length) {
+    el.innerHTML = '<p class="setup-hint">Finished sessions will appear here.</p>';
+    return;
+  }
+  el.innerHTML = sessionHistory.map(h => `
+    <div class="card-item" data-id="${h.id}">
+      <div class="card-info">
+        <div class="card-player">${esc(h.year)} ${esc(h.product)}</div>
+        <div class="card-team">${esc(formatSessionTime(h.started_at, h.ended_at))} · ${esc(h.location)}</div>
+      </div>
+      <span class="sess-card-badge">${h.entries.length}</span>
+    </div>`).join('');
+
+  el.querySelectorAll('.card-item').forEach(row => {
+    row.addEventListener('click', () => {
+      const record = sessionHistory.find(h => h.id === +row.dataset.id);
+      if (record) openSessionRecord(record);
+    });
+  });
+}
+
+function openSessionRecord(record) {
+  const body = openDetailSheet(
+    `${record.year} ${record.product}`,
+    `${formatSessionTime(record.started_at, record.ended_at)} · ${record.location}`,
+    renderSessionBreakdown(record.entries) + renderBoxReports(record.breaks || [], record.entries) + `
+    <div class="detail-actions">
+      <button class="btn btn-outline" id="sessPullRatesBtn">Pull Rates</button>
+      <button class="btn" id="sessReexportBtn">Re-export This Session</button>
+    </div>`
+  );
+  body.querySelector('#sessPullRatesBtn').addEventListener('click', () => {
+    const product = catalog && catalog.products.find(p => p.name === record.product);
+    if (product) openPullRateReport(product);
+    else showToast('This product is no longer in the catalog.');
+  });
+  const btn = body.querySelector('#sessReexportBtn');
+  btn.style.display = record.entries.length ? '' : 'none';
+  btn.addEventListener('click', async () => {
+    const orphaned = catalog ? findOrphans(record.entries, catalog).size : 0;
+    if (orphaned) {
+      showToast(`${orphaned} of this session's changes no longer match the catalog and can't be re-exported.`, 4000);
+      return;
+    }
+    const jsonStr = JSON.stringify(buildExportData(record.entries), null, 2);
+    await shareFile(jsonStr, generateExportFilename(record.entries.length), 'application/json', `${record.entries.length} changes from this session.`);
+  });
 }
 
 function renderSessionParallelBar() {
@@ -867,6 +3919,7 @@ function renderSessionParallelBar() {
       session.activeParallel = btn.dataset.parallel;
       sessParallelBar.querySelectorAll('.sess-chip-btn').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
+      saveSession();
     });
   });
 }
@@ -889,6 +3942,7 @@ function renderSessionSetBar() {
       btn.classList.add('active');
       renderSessionParallelBar();
       renderSessionCards();
+      saveSession();
     });
   });
 }
@@ -911,12 +3965,7 @@ function renderSessionCards() {
   const query = sessCardSearch.value.toLowerCase().trim();
   let cards = session.activeSet.cards;
   if (query) {
-    cards = cards.filter(c =>
-      c.player.toLowerCase().includes(query) ||
-      c.number.toLowerCase().includes(query) ||
-      c.team.toLowerCase().includes(query) ||
-      (c.card_name && c.card_name.toLowerCase().includes(query))
-    );
+    cards = cards.filter(c => cardMatchesQuery(c, query));
   }
 
   if (!cards.length) {
@@ -932,20 +3981,25 @@ function renderSessionCards() {
     const key = e.set + '|' + e.card_number;
     countMap[key] = (countMap[key] || 0) + 1;
   });
+  // This session's adds already show in the session badge, so leave them out of the overlay
+  const outsidePending = buildPendingOwnedMap(new Set(session.entries.map(e => e.id)));
+  const wantedKeys = getWantedKeys();
 
   sessCardList.innerHTML = cards.map(c => {
     const key = session.activeSet.name + '|' + c.number;
     const count = countMap[key] || 0;
-    const displayName = c.player || c.card_name || '(no player)';
+    const cardKey = `${session.product.name}|${key}`;
     return `
       <div class="sess-card" data-number="${esc(c.number)}">
         <span class="card-num">${esc(c.number)}</span>
         <div class="card-info">
-          <div class="card-player">${esc(displayName)}</div>
-          <div class="card-team">${esc(c.team)}</div>
+          <div class="card-player">${c.player ? entityLink('player', c.player) : esc(c.card_name || '(no player)')}</div>
+          <div class="card-team">${entityLink('team', c.team)}</div>
         </div>
         ${c.sp ? '<span class="card-sp">SP</span>' : ''}
         ${c.rookie ? '<span class="card-rc">RC</span>' : ''}
+        ${renderOwnedBadges(ownedMap.get(cardKey), outsidePending.get(cardKey))}
+        <button class="want-btn${wantedKeys.has(cardKey) ? ' wanted' : ''}" title="Want list">${wantedKeys.has(cardKey) ? '&#x2605;' : '&#x2606;'}</button>
         ${count > 0 ? `<span class="sess-card-badge">${count}</span>` : ''}
       </div>`;
   }).join('');
@@ -958,6 +4012,11 @@ function renderSessionCards() {
 
     let longPressFired = false;
 
+    el.querySelector('.want-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      openWantForm(card, session.product, session.activeSet);
+    });
+
     // Tap = instant add (click fires after touchend)
     el.addEventListener('click', (e) => {
       if (longPressFired) { e.preventDefault(); return; }
@@ -983,17 +4042,18 @@ function renderSessionCards() {
       longPressFired = false;
     });
   });
+  wireEntityLinks(sessCardList);
 }
 
-async function onSessionCardTap(card) {
-  if (!session.active || !session.activeSet) return;
-
+// Add one copy of a card from the active set to pending and the session's undo stack.
+// Quick entry passes a batch id so the whole command undoes as one step.
+async function addSessionCard(card, parallel, batch = null) {
   const entry = {
     action: 'add',
     product: session.product.name,
     set: session.activeSet.name,
     card_number: card.number,
-    parallel: session.activeParallel,
+    parallel,
     player: card.player,
     team: card.team,
     quantity: 1,
@@ -1002,22 +4062,32 @@ async function onSessionCardTap(card) {
     notes: null,
     tags: { location: session.location },
     added_at: new Date().toISOString(),
+    profile: activeProfileId,
   };
 
-  try {
-    const id = await addPending(entry);
-    entry.id = id;
-    pendingList.push(entry);
+  entry.id = await addPending(entry);
+  pendingList.push(entry);
 
-    session.entries.push({
-      card_number: card.number,
-      set: session.activeSet.name,
-      parallel: session.activeParallel,
-      id: id,
-    });
+  session.entries.push({
+    card_number: card.number,
+    set: session.activeSet.name,
+    parallel,
+    id: entry.id,
+    ...currentBreakLink(),
+    ...(batch ? { batch } : {}),
+  });
+  saveSession();
+  return entry;
+}
+
+async function onSessionCardTap(card) {
+  if (!session.active || !session.activeSet) return;
+
+  try {
+    await addSessionCard(card, session.activeParallel);
 
     // Update UI
-    updatePendingBadge();
+    onPendingChanged();
     sessCountLabel.textContent = session.entries.length + ' added';
     undoBtn.style.display = 'block';
 
@@ -1054,6 +4124,8 @@ function onSessionCardLongPress(card) {
   selectedCard = card;
   sheetTitle.textContent = `#${card.number} ${card.player || card.card_name || ''}`;
   sheetSubtitle.textContent = `${session.product.name} — ${session.activeSet.name}`;
+  $('confirmAddBtn').textContent = 'Add';
+  hideAddWarnings();
 
   // Parallels from current set
   parallelPicker.innerHTML = session.activeSet.parallels.map(p => {
@@ -1065,7 +4137,7 @@ function onSessionCardLongPress(card) {
 
   qtyInput.value = 1;
   serialInput.value = '';
-  gradeSelect.value = '';
+  renderGradePicker(gradePicker, '', {});
   notesInput.value = '';
 
   // Tags — pre-select session location
@@ -1082,14 +4154,83 @@ function onSessionCardLongPress(card) {
   requestAnimationFrame(() => addSheet.classList.add('visible'));
 }
 
+// ── Quick Entry ──
+function getQuickEntryParallels() {
+  return session.activeSet.parallels
+    .filter(p => session.selectedParallels.includes(p.name))
+    .map(p => p.name);
+}
+
+function openQuickEntryPreview() {
+  if (!session.active || !session.activeSet) return;
+  const input = $('sessQuickInput');
+  if (!input.value.trim()) {
+    showToast('Type card numbers, e.g. 12, 45, 101x3, 200-210');
+    return;
+  }
+  const { items, unresolved } = parseQuickEntry(input.value, session.activeSet, getQuickEntryParallels(), session.activeParallel);
+  const total = items.reduce((a, i) => a + i.count, 0);
+
+  const body = openDetailSheet(
+    'Quick Add',
+    `${session.activeSet.name} — ${total} card${total === 1 ? '' : 's'}${unresolved.length ? `, ${unresolved.length} not understood` : ''}`,
+    (unresolved.length ? '<div class="result-group">Not added</div>' + unresolved.map(u =>
+      `<div class="diff-item problem-item">${esc(u.token)} — ${esc(u.reason)}</div>`).join('') : '') +
+    (items.length ? '<div class="result-group">To add</div>' + items.map(i => `
+      <div class="copy-item">
+        <span class="card-num">${esc(i.card.number)}</span>
+        ${esc(i.card.player || i.card.card_name || '(no player)')} — ${esc(i.parallel)}${i.count > 1 ? ` <strong>x${i.count}</strong>` : ''}
+      </div>`).join('') : '') + `
+    <div class="detail-actions">
+      <button class="btn btn-outline" id="quickEditBtn">Edit</button>
+      ${total ? `<button class="btn btn-green" id="quickAddBtn">Add ${total} Card${total === 1 ? '' : 's'}</button>` : ''}
+    </div>`
+  );
+
+  body.querySelector('#quickEditBtn').addEventListener('click', () => {
+    closeDetailSheet();
+    input.focus();
+  });
+  const addBtn = body.querySelector('#quickAddBtn');
+  if (addBtn) addBtn.addEventListener('click', async () => {
+    addBtn.disabled = true;
+    const batch = Date.now();
+    let added = 0;
+    try {
+      for (const i of items) {
+        for (let n = 0; n < i.count; n++) {
+          await addSessionCard(i.card, i.parallel, batch);
+          added++;
+        }
+      }
+    } catch (err) {
+      showToast(`Added ${added} of ${total}: ${err.message}`, 4000);
+    }
+    onPendingChanged();
+    sessCountLabel.textContent = session.entries.length + ' added';
+    if (added) undoBtn.style.display = 'block';
+    renderSessionCards();
+    closeDetailSheet();
+    if (added === total) {
+      input.value = '';
+      showToast(`Added ${added} card${added === 1 ? '' : 's'}. Undo removes the whole batch.`, 3000);
+    }
+  });
+}
+
 async function undoLastSessionAdd() {
   if (!session.entries.length) return;
 
-  const last = session.entries.pop();
-  await deletePending(last.id);
-  pendingList = pendingList.filter(e => e.id !== last.id);
+  // A quick-entry batch comes off the stack as one step
+  const last = session.entries[session.entries.length - 1];
+  const undone = last.batch ? session.entries.filter(e => e.batch === last.batch) : [last];
+  session.entries = session.entries.filter(e => !undone.includes(e));
+  saveSession();
+  for (const e of undone) await deletePending(e.id);
+  const ids = new Set(undone.map(e => e.id));
+  pendingList = pendingList.filter(e => !ids.has(e.id));
 
-  updatePendingBadge();
+  onPendingChanged();
   sessCountLabel.textContent = session.entries.length + ' added';
   if (!session.entries.length) undoBtn.style.display = 'none';
 
@@ -1100,7 +4241,7 @@ async function undoLastSessionAdd() {
 function getCurrentFieldValue(field) {
   switch (field) {
     case 'parallel': return getSelected(parallelPicker);
-    case 'grade': return gradeSelect.value;
+    case 'grade': return readGradePicker(gradePicker).grade || '';
     case 'location': return getSelected(locationPicker);
     case 'price_bucket': return getSelected(pricePicker);
     case 'status': return getSelected(statusPicker);
@@ -1138,7 +4279,7 @@ function updateLockedVisuals() {
   const anyLocked = Object.values(lockedFields).some(v => v !== null);
   $('unlockAllBtn').style.display = anyLocked ? 'block' : 'none';
   parallelPicker.classList.toggle('field-locked', lockedFields.parallel !== null);
-  gradeSelect.classList.toggle('field-locked', lockedFields.grade !== null);
+  gradePicker.classList.toggle('field-locked', lockedFields.grade !== null);
   locationPicker.classList.toggle('field-locked', lockedFields.location !== null);
   pricePicker.classList.toggle('field-locked', lockedFields.price_bucket !== null);
   statusPicker.classList.toggle('field-locked', lockedFields.status !== null);
@@ -1172,19 +4313,31 @@ function showToast(msg, duration = 2000) {
 }
 
 // ── Export Filename ──
-function generateExportFilename(count) {
+function generateExportFilename(count, ext = 'json') {
   const now = new Date();
   const date = now.toISOString().slice(0, 10);
   const time = now.toTimeString().slice(0, 5).replace(':', '');
-  return `cards_${date}_${time}_${count}ch.json`;
+  return `cards_${date}_${time}_${count}ch.${ext}`;
 }
 
 // ── Helpers ──
+// Rows of plain objects → CSV (or TSV with a tab delimiter), header row first
+function toDelimited(rows, columns, delimiter = ',') {
+  const cell = v => {
+    const str = v === null || v === undefined ? '' : String(v);
+    return /[",\r\n\t]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+  };
+  return [columns, ...rows.map(r => columns.map(c => r[c]))]
+    .map(r => r.map(cell).join(delimiter))
+    .join('\r\n') + '\r\n';
+}
+
+// Safe in text and in double-quoted attributes (innerHTML leaves quotes alone)
 function esc(s) {
   if (!s) return '';
   const d = document.createElement('div');
   d.textContent = s;
-  return d.innerHTML;
+  return d.innerHTML.replace(/"/g, '&quot;');
 }
 
 // ── Boot ──
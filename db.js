@@ -2,14 +2,25 @@
  * IndexedDB wrapper for the Card Tracker PWA.
  *
  * Stores:
- *  - catalog: the full product/set/card/parallel/tag catalog from the desktop export
- *  - pending: card additions waiting to be exported back to desktop
+ *  - catalog: the full product/set/card/parallel/tag catalog from the desktop export,
+ *    one record per catalog profile (the original single catalog lives under 'data')
+ *  - pending: changes (adds, removes, sales, regrades, retags) waiting to go back to desktop
+ *  - wants: cards (optionally a specific parallel) flagged as wanted on this device
+ *  - meta: small key/value app state (e.g. the active session)
+ *  - sessions: finished sessions with a snapshot of their entries
+ *  - exports: every export batch with its exact file contents, for re-sharing
  */
 
 const DB_NAME = 'CardTrackerPWA';
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 
 let _db = null;
+let _onBlocked = null;
+
+// Called when another tab holds the database open at an older version and the upgrade has to wait
+function onDBBlocked(fn) {
+  _onBlocked = fn;
+}
 
 function openDB() {
   if (_db) return Promise.resolve(_db);
@@ -23,34 +34,66 @@ function openDB() {
       if (!db.objectStoreNames.contains('pending')) {
         db.createObjectStore('pending', { keyPath: 'id', autoIncrement: true });
       }
+      if (!db.objectStoreNames.contains('wants')) {
+        db.createObjectStore('wants', { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta', { keyPath: 'key' });
+      }
+      if (!db.objectStoreNames.contains('sessions')) {
+        db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains('exports')) {
+        db.createObjectStore('exports', { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    req.onblocked = () => { if (_onBlocked) _onBlocked(); };
+    req.onsuccess = e => {
+      _db = e.target.result;
+      // A newer version opening in another tab waits on us; step aside so it can upgrade
+      _db.onversionchange = () => {
+        _db.close();
+        _db = null;
+      };
+      resolve(_db);
     };
-    req.onsuccess = e => { _db = e.target.result; resolve(_db); };
     req.onerror = e => reject(e.target.error);
   });
 }
 
-async function putCatalog(catalog) {
+async function putCatalog(catalog, key = 'data') {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction('catalog', 'readwrite');
     const store = tx.objectStore('catalog');
-    store.put({ key: 'data', ...catalog });
+    store.put({ ...catalog, key });
     tx.oncomplete = () => resolve();
     tx.onerror = e => reject(e.target.error);
   });
 }
 
-async function getCatalog() {
+async function getCatalog(key = 'data') {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction('catalog', 'readonly');
     const store = tx.objectStore('catalog');
-    const req = store.get('data');
+    const req = store.get(key);
     req.onsuccess = () => resolve(req.result || null);
     req.onerror = e => reject(e.target.error);
   });
 }
 
+async function deleteCatalog(key) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('catalog', 'readwrite');
+    const store = tx.objectStore('catalog');
+    store.delete(key);
+    tx.oncomplete = () => resolve();
+    tx.onerror = e => reject(e.target.error);
+  });
+}
+
 async function addPending(entry) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
@@ -62,6 +105,17 @@ async function addPending(entry) {
   });
 }
 
+async function updatePending(entry) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('pending', 'readwrite');
+    const store = tx.objectStore('pending');
+    store.put(entry);
+    tx.oncomplete = () => resolve();
+    tx.onerror = e => reject(e.target.error);
+  });
+}
+
 async function getAllPending() {
   const db = await openDB();
   return new Promise((resolve, reject) => {
@@ -84,15 +138,160 @@ async function deletePending(id) {
   });
 }
 
-async function clearAllPending() {
+async function addWant(want) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('pending', 'readwrite');
-    const store = tx.objectStore('pending');
-    store.clear();
+    const tx = db.transaction('wants', 'readwrite');
+    const store = tx.objectStore('wants');
+    const req = store.add(want);
+    req.onsuccess = () => resolve(req.result);
+    tx.onerror = e => reject(e.target.error);
+  });
+}
+
+async function updateWant(want) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('wants', 'readwrite');
+    const store = tx.objectStore('wants');
+    store.put(want);
+    tx.oncomplete = () => resolve();
+    tx.onerror = e => reject(e.target.error);
+  });
+}
+
+async function getAllWants() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('wants', 'readonly');
+    const store = tx.objectStore('wants');
+    const req = store.getAll();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = e => reject(e.target.error);
+  });
+}
+
+async function deleteWant(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('wants', 'readwrite');
+    const store = tx.objectStore('wants');
+    store.delete(id);
+    tx.oncomplete = () => resolve();
+    tx.onerror = e => reject(e.target.error);
+  });
+}
+
+async function getMeta(key) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('meta', 'readonly');
+    const store = tx.objectStore('meta');
+    const req = store.get(key);
+    req.onsuccess = () => resolve(req.result ? req.result.value : null);
+    req.onerror = e => reject(e.target.error);
+  });
+}
+
+async function putMeta(key, value) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('meta', 'readwrite');
+    const store = tx.objectStore('meta');
+    store.put({ key, value });
+    tx.oncomplete = () => resolve();
+    tx.onerror = e => reject(e.target.error);
+  });
+}
+
+async function deleteMeta(key) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('meta', 'readwrite');
+    const store = tx.objectStore('meta');
+    store.delete(key);
+    tx.oncomplete = () => resolve();
+    tx.onerror = e => reject(e.target.error);
+  });
+}
+
+async function addSession(record) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('sessions', 'readwrite');
+    const store = tx.objectStore('sessions');
+    const req = store.add(record);
+    req.onsuccess = () => resolve(req.result);
+    tx.onerror = e => reject(e.target.error);
+  });
+}
+
+async function getAllSessions() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('sessions', 'readonly');
+    const store = tx.objectStore('sessions');
+    const req = store.getAll();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = e => reject(e.target.error);
+  });
+}
+
+async function deleteSession(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('sessions', 'readwrite');
+    const store = tx.objectStore('sessions');
+    store.delete(id);
+    tx.oncomplete = () => resolve();
+    tx.onerror = e => reject(e.target.error);
+  });
+}
+
+async function addExport(record) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('exports', 'readwrite');
+    const store = tx.objectStore('exports');
+    const req = store.add(record);
+    req.onsuccess = () => resolve(req.result);
+    tx.onerror = e => reject(e.target.error);
+  });
+}
+
+async function updateExport(record) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('exports', 'readwrite');
+    const store = tx.objectStore('exports');
+    store.put(record);
+    tx.oncomplete = () => resolve();
+    tx.onerror = e => reject(e.target.error);
+  });
+}
+
+async function getAllExports() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('exports', 'readonly');
+    const store = tx.objectStore('exports');
+    const req = store.getAll();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = e => reject(e.target.error);
+  });
+}
+
+async function deleteExport(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('exports', 'readwrite');
+    const store = tx.objectStore('exports');
+    store.delete(id);
     tx.oncomplete = () => resolve();
     tx.onerror = e => reject(e.target.error);
   });
 }
 
-export { openDB, putCatalog, getCatalog, addPending, getAllPending, deletePending, clearAllPending };
+export { openDB, putCatalog, getCatalog, deleteCatalog, addPending, updatePending, getAllPending, deletePending, onDBBlocked,
+  addWant, updateWant, getAllWants, deleteWant, getMeta, putMeta, deleteMeta,
+  addSession, getAllSessions, deleteSession, addExport, updateExport, getAllExports, deleteExport };
@@ -0,0 +1,120 @@
+/**
+ * Catalog diff for the Card Tracker PWA.
+ *
+ * Compares the stored catalog with a newly loaded one and produces the
+ * "What's new" report shown in Settings. Items are display strings so the
+ * report can be stored as-is and rendered without the catalogs it came from.
+ */
+
+function productLabel(p) {
+  return `${p.year} ${p.name}`;
+}
+
+function cardLabel(p, s, c) {
+  return `${productLabel(p)} / ${s.name} #${c.number} ${c.player || c.card_name || ''}`.trim();
+}
+
+function indexBy(list, keyFn) {
+  const map = new Map();
+  (list || []).forEach(item => map.set(keyFn(item), item));
+  return map;
+}
+
+function addedRemoved(beforeMap, afterMap) {
+  return {
+    added: [...afterMap.keys()].filter(k => !beforeMap.has(k)),
+    removed: [...beforeMap.keys()].filter(k => !afterMap.has(k)),
+  };
+}
+
+// Total quantity per copy identity; copies have no id in the export
+function collectionQuantities(catalog) {
+  const map = new Map();
+  (catalog.collection || []).forEach(e => {
+    const key = [e.product, e.set, e.card_number, e.parallel || 'Base', e.serial_number || '', e.grade || ''].join('|');
+    map.set(key, (map.get(key) || 0) + (e.quantity || 0));
+  });
+  return map;
+}
+
+function collectionLabel(key) {
+  const [product, set, number, parallel, serial, grade] = key.split('|');
+  return `${product} / ${set} #${number} ${parallel}${serial ? ' #' + serial : ''}${grade ? ' ' + grade : ''}`;
+}
+
+function medianPrices(catalog) {
+  const map = new Map();
+  (catalog.collection || []).forEach(e => {
+    if (e.median_price) map.set(`${e.product} / ${e.set} #${e.card_number} ${e.parallel || 'Base'}`, e.median_price);
+  });
+  return map;
+}
+
+function diffCatalogs(before, after) {
+  const report = {
+    products: { added: [], removed: [] },
+    sets: { added: [], removed: [] },
+    cards: { added: [], removed: [] },
+    parallels: { added: [], removed: [] },
+    collection: { added: [], removed: [], changed: [] },
+    prices: { changed: [] },
+  };
+
+  const beforeProducts = indexBy(before.products, p => p.name);
+  const afterProducts = indexBy(after.products, p => p.name);
+  const products = addedRemoved(beforeProducts, afterProducts);
+  report.products.added = products.added.map(k => productLabel(afterProducts.get(k)));
+  report.products.removed = products.removed.map(k => productLabel(beforeProducts.get(k)));
+
+  // Sets, cards and parallels are only compared inside products present in both
+  afterProducts.forEach((ap, name) => {
+    const bp = beforeProducts.get(name);
+    if (!bp) return;
+    const beforeSets = indexBy(bp.sets, s => s.name);
+    const afterSets = indexBy(ap.sets, s => s.name);
+    const sets = addedRemoved(beforeSets, afterSets);
+    sets.added.forEach(k => report.sets.added.push(`${productLabel(ap)} / ${k}`));
+    sets.removed.forEach(k => report.sets.removed.push(`${productLabel(bp)} / ${k}`));
+
+    afterSets.forEach((as, setName) => {
+      const bs = beforeSets.get(setName);
+      if (!bs) return;
+      const beforeCards = indexBy(bs.cards, c => c.number);
+      const afterCards = indexBy(as.cards, c => c.number);
+      const cards = addedRemoved(beforeCards, afterCards);
+      cards.added.forEach(k => report.cards.added.push(cardLabel(ap, as, afterCards.get(k))));
+      cards.removed.forEach(k => report.cards.removed.push(cardLabel(bp, bs, beforeCards.get(k))));
+
+      const parallels = addedRemoved(indexBy(bs.parallels, p => p.name), indexBy(as.parallels, p => p.name));
+      parallels.added.forEach(k => report.parallels.added.push(`${productLabel(ap)} / ${setName} — ${k}`));
+      parallels.removed.forEach(k => report.parallels.removed.push(`${productLabel(bp)} / ${setName} — ${k}`));
+    });
+  });
+
+  const beforeQty = collectionQuantities(before);
+  const afterQty = collectionQuantities(after);
+  afterQty.forEach((qty, key) => {
+    const prev = beforeQty.get(key);
+    if (prev === undefined) report.collection.added.push(`${collectionLabel(key)} x${qty}`);
+    else if (prev !== qty) report.collection.changed.push(`${collectionLabel(key)} x${prev} → x${qty}`);
+  });
+  beforeQty.forEach((qty, key) => {
+    if (!afterQty.has(key)) report.collection.removed.push(`${collectionLabel(key)} x${qty}`);
+  });
+
+  const beforePrices = medianPrices(before);
+  medianPrices(after).forEach((price, label) => {
+    const prev = beforePrices.get(label);
+    if (prev !== undefined && prev !== price) {
+      report.prices.changed.push({ label, from: prev, to: price });
+    }
+  });
+
+  return report;
+}
+
+function isEmptyDiff(report) {
+  return Object.values(report).every(group => Object.values(group).every(list => !list.length));
+}
+
+export { diffCatalogs, isEmptyDiff };
@@ -0,0 +1,53 @@
+/**
+ * Grading scales for the Card Tracker PWA.
+ *
+ * A catalog may list its grading companies under `grading`, each with the
+ * grades it issues and optionally autograph grades and sub-grade categories.
+ * Without that list the built-in scales below are used. Grades are stored as
+ * one string ("BGS 9.5", "PSA 9 / Auto 10") so they read the same on the desktop.
+ */
+
+const AUTO_SEPARATOR = ' / Auto ';
+
+// "9.5", "9", … "1" stepping down from `top`
+function scale(top, step) {
+  const grades = [];
+  for (let g = top; g >= 1; g -= step) grades.push(String(g));
+  return grades;
+}
+
+const DEFAULT_SUBGRADE_SCALE = scale(10, 0.5);
+const SUBGRADES = ['Centering', 'Corners', 'Edges', 'Surface'];
+
+const DEFAULT_GRADING = [
+  { name: 'PSA', grades: ['10', ...scale(9, 0.5), 'Authentic'], auto_grades: scale(10, 1) },
+  { name: 'BGS', grades: ['10 Black Label', '10 Pristine', ...scale(9.5, 0.5), 'Authentic'], auto_grades: scale(10, 1), subgrades: SUBGRADES },
+  { name: 'SGC', grades: ['10 Pristine', '10', ...scale(9.5, 0.5), 'Authentic'], auto_grades: scale(10, 1) },
+  { name: 'CGC', grades: ['10 Pristine', '10', ...scale(9.5, 0.5), 'Authentic'], auto_grades: scale(10, 1), subgrades: SUBGRADES },
+  { name: 'TAG', grades: ['10 Pristine', '10', ...scale(9.5, 0.5)], subgrades: SUBGRADES },
+];
+
+function gradingScales(catalog) {
+  return catalog && Array.isArray(catalog.grading) && catalog.grading.length ? catalog.grading : DEFAULT_GRADING;
+}
+
+function subgradeScale(company) {
+  return company.subgrade_scale || DEFAULT_SUBGRADE_SCALE;
+}
+
+function formatGrade(company, grade, autoGrade = '') {
+  if (!company || !grade) return null;
+  return `${company} ${grade}${autoGrade ? AUTO_SEPARATOR + autoGrade : ''}`;
+}
+
+// Inverse of formatGrade → { company, grade, auto_grade } or null for raw.
+// Unknown companies still split on the first word so old grades aren't lost.
+function parseGrade(text, scales) {
+  if (!text) return null;
+  const [main, autoGrade = ''] = String(text).split(AUTO_SEPARATOR);
+  const known = scales.find(s => main.startsWith(s.name + ' '));
+  const company = known ? known.name : main.split(' ')[0];
+  return { company, grade: main.slice(company.length).trim(), auto_grade: autoGrade };
+}
+
+export { DEFAULT_GRADING, gradingScales, subgradeScale, formatGrade, parseGrade };
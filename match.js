@@ -0,0 +1,49 @@
+/**
+ * Fuzzy name matching for the Card Tracker PWA.
+ *
+ * Scores how alike two names are, ignoring case and punctuation, so a renamed
+ * set or parallel can be suggested instead of an exact lookup that just fails.
+ */
+
+function normalize(s) {
+  return String(s == null ? '' : s).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// 0 (nothing alike) to 1 (equal once normalized)
+function similarity(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const edit = 1 - editDistance(x, y) / Math.max(x.length, y.length);
+  // One name inside the other ("Gold" → "Gold Refractor") is a strong hint
+  const shorter = Math.min(x.length, y.length);
+  const contained = x.includes(y) || y.includes(x) ? 0.6 + 0.4 * shorter / Math.max(x.length, y.length) : 0;
+  const wx = new Set(x.split(' '));
+  const wy = new Set(y.split(' '));
+  const shared = [...wx].filter(w => wy.has(w)).length;
+  const words = shared / Math.max(wx.size, wy.size);
+  return Math.max(edit, contained, words);
+}
+
+// Candidates sorted best first by score(item), dropping those scoring 0
+function rankBy(candidates, score) {
+  return candidates
+    .map(item => ({ item, score: score(item) }))
+    .filter(m => m.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+export { similarity, rankBy };
@@ -0,0 +1,77 @@
+/**
+ * Quick-entry parser for the Card Tracker PWA session view.
+ *
+ * Turns a typed command like "12, 45, 101x3, 200-210, RC-7 gold" into the
+ * cards and parallels of one set. Tokens are comma-separated; each is a card
+ * number or numeric range, an optional "xN" count, and an optional parallel
+ * name (otherwise the session's active parallel). Tokens that don't resolve
+ * are returned with a reason instead of being dropped.
+ */
+
+import { similarity } from './match.js';
+
+const MAX_RANGE = 200;
+const MAX_COUNT = 99;
+const PARALLEL_MATCH = 0.6; // fuzzy floor for typed parallel names ("gld" → Gold)
+
+function parseQuickEntry(text, set, parallels, defaultParallel) {
+  const items = [];
+  const unresolved = [];
+  const byNumber = new Map(set.cards.map(c => [c.number.toLowerCase(), c]));
+
+  // "7" finds "RC-7" when the set's numbers carry a prefix
+  const findCard = number => {
+    const key = number.toLowerCase();
+    return byNumber.get(key) || (set.prefix ? byNumber.get((set.prefix + number).toLowerCase()) : null);
+  };
+
+  text.split(/[,;\n]+/).map(t => t.trim()).filter(Boolean).forEach(token => {
+    const fail = reason => unresolved.push({ token, reason });
+    const words = token.split(/\s+/);
+    let spec = words.shift();
+    // "101 x3" is the same as "101x3"
+    if (words.length && /^[x×]\d+$/i.test(words[0])) spec += words.shift();
+
+    let count = 1;
+    const countMatch = spec.match(/^(.+?)[x×](\d+)$/i);
+    if (countMatch) {
+      spec = countMatch[1];
+      count = +countMatch[2];
+      if (count < 1 || count > MAX_COUNT) return fail(`count must be 1–${MAX_COUNT}`);
+    }
+
+    let parallel = defaultParallel;
+    if (words.length) {
+      const name = words.join(' ');
+      const match = parallels
+        .map(p => ({ p, score: similarity(name, p) }))
+        .sort((a, b) => b.score - a.score)[0];
+      if (!match || match.score < PARALLEL_MATCH) return fail(`no selected parallel "${name}"`);
+      parallel = match.p;
+    }
+    if (!parallel) return fail('no parallel selected');
+
+    const range = spec.match(/^(\d+)-(\d+)$/);
+    if (range) {
+      const [from, to] = [+range[1], +range[2]];
+      if (to < from) return fail('range runs backwards');
+      if (to - from >= MAX_RANGE) return fail(`ranges are limited to ${MAX_RANGE} cards`);
+      const missing = [];
+      for (let n = from; n <= to; n++) {
+        const card = findCard(String(n));
+        if (card) items.push({ card, parallel, count, token });
+        else missing.push(n);
+      }
+      if (missing.length) unresolved.push({ token, reason: `not in set: ${missing.join(', ')}` });
+      return;
+    }
+
+    const card = findCard(spec);
+    if (!card) return fail('not in set');
+    items.push({ card, parallel, count, token });
+  });
+
+  return { items, unresolved };
+}
+
+export { parseQuickEntry };
@@ -0,0 +1,76 @@
+/**
+ * Pending reconciliation for the Card Tracker PWA.
+ *
+ * Pending changes name their card by product, set, card number and parallel
+ * as plain strings. After a catalog load those names may no longer resolve;
+ * findOrphan reports the first one that doesn't and suggestRemap ranks the
+ * catalog's replacements for it.
+ */
+
+import { similarity, rankBy } from './match.js';
+
+const FIELD_LABELS = {
+  product: 'Product',
+  set: 'Set',
+  card_number: 'Card',
+  parallel: 'Parallel',
+};
+
+// First name on the entry the catalog doesn't have: { field, value, message },
+// or null when the entry resolves
+function findOrphan(entry, catalog) {
+  const product = catalog.products.find(p => p.name === entry.product);
+  if (!product) return orphan('product', entry.product);
+  const set = product.sets.find(s => s.name === entry.set);
+  if (!set) return orphan('set', entry.set);
+  if (!set.cards.some(c => c.number === entry.card_number)) return orphan('card_number', entry.card_number);
+  if (entry.parallel && !set.parallels.some(p => p.name === entry.parallel)) return orphan('parallel', entry.parallel);
+  return null;
+}
+
+function orphan(field, value) {
+  return { field, value, message: `${FIELD_LABELS[field]} "${value}" is not in the catalog` };
+}
+
+// pending id → orphan for every entry that no longer resolves
+function findOrphans(entries, catalog) {
+  const orphans = new Map();
+  entries.forEach(e => {
+    const o = findOrphan(e, catalog);
+    if (o) orphans.set(e.id, o);
+  });
+  return orphans;
+}
+
+// Every catalog value that could replace the orphaned one, closest first:
+// [{ value, label, score, card? }]
+function suggestRemap(entry, orphaned, catalog) {
+  const product = catalog.products.find(p => p.name === entry.product);
+  const set = product && product.sets.find(s => s.name === entry.set);
+  if (orphaned.field === 'product') {
+    return rankAll(catalog.products, p => similarity(entry.product, p.name), p => ({ value: p.name, label: `${p.year} ${p.name}` }));
+  }
+  if (orphaned.field === 'set') {
+    return rankAll(product.sets, s => similarity(entry.set, s.name), s => ({ value: s.name, label: `${s.name} (${s.type})` }));
+  }
+  if (orphaned.field === 'card_number') {
+    // A renumbered card usually keeps its player
+    return rankAll(set.cards,
+      c => Math.max(similarity(entry.card_number, c.number) * 0.8, similarity(entry.player, c.player)),
+      c => ({ value: c.number, label: `#${c.number} ${c.player || c.card_name || ''}`.trim(), card: c }));
+  }
+  return rankAll(set.parallels, p => similarity(entry.parallel, p.name), p => ({ value: p.name, label: p.name }));
+}
+
+// Ranked matches first, then every remaining candidate in catalog order
+function rankAll(candidates, score, describe) {
+  const ranked = rankBy(candidates, score);
+  const seen = new Set(ranked.map(m => m.item));
+  const rest = candidates.filter(c => !seen.has(c));
+  return [
+    ...ranked.map(m => ({ ...describe(m.item), score: m.score })),
+    ...rest.map(c => ({ ...describe(c), score: 0 })),
+  ];
+}
+
+export { findOrphan, findOrphans, suggestRemap, FIELD_LABELS };
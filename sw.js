@@ -1,10 +1,18 @@
-const CACHE_NAME = 'card-tracker-v9';
+const CACHE_NAME = 'card-tracker-v43';
 const ASSETS = [
   './',
   './index.html',
   './style.css',
   './app.js',
   './db.js',
+  './diff.js',
+  './validate.js',
+  './match.js',
+  './reconcile.js',
+  './quickentry.js',
+  './textimport.js',
+  './addcheck.js',
+  './grading.js',
   './manifest.json',
   './icons/icon-192.svg',
 ];
@@ -29,6 +37,13 @@ self.addEventListener('activate', e => {
 });
 
 self.addEventListener('fetch', e => {
+  // Only cache GETs; sync POSTs go straight to the network
+  if (e.request.method !== 'GET') return;
+  // Conditional catalog checks bypass the cache so the server can answer 304.
+  // Reloads also arrive as no-cache, so the cache mode alone must not bypass.
+  const headers = e.request.headers;
+  if (headers.has('If-None-Match') || headers.has('If-Modified-Since')) return;
+
   // Stale-while-revalidate: return from cache immediately, then update cache from network
   e.respondWith(
     caches.open(CACHE_NAME).then(cache =>
@@ -47,3 +62,73 @@ self.addEventListener('fetch', e => {
     )
   );
 });
+
+// ── Sync outbox ──
+// Change files the app couldn't POST to its sync endpoint wait here, in a
+// database of their own, and are retried on Background Sync or when the app
+// regains connectivity. An acknowledged item is kept (marked acked) until the
+// app confirms it has marked its entries synced.
+const OUTBOX_DB = 'CardTrackerSync';
+const SYNC_TAG = 'card-sync';
+
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(OUTBOX_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('outbox', { keyPath: 'export_id' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function outbox(mode, fn) {
+  return openOutbox().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction('outbox', mode);
+    const req = fn(tx.objectStore('outbox'));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  }));
+}
+
+// Send every unacknowledged item; resolves with how many are still unsent
+async function flushOutbox() {
+  const items = await outbox('readonly', store => store.getAll());
+  let unsent = 0;
+  for (const item of items) {
+    if (!item.acked) {
+      try {
+        const resp = await fetch(item.url, { method: 'POST', headers: item.headers, body: item.body });
+        const ack = resp.ok ? await resp.json().catch(() => null) : null;
+        if (!ack || ack.export_id !== item.export_id) throw new Error('Not acknowledged');
+        item.acked = true;
+        await outbox('readwrite', store => store.put(item));
+      } catch {
+        unsent++;
+        continue;
+      }
+    }
+    const clients = await self.clients.matchAll();
+    clients.forEach(client => client.postMessage({ type: 'SYNC_ACKED', export_id: item.export_id }));
+  }
+  return unsent;
+}
+
+self.addEventListener('message', e => {
+  const msg = e.data || {};
+  if (msg.type === 'QUEUE_SYNC') {
+    e.waitUntil(outbox('readwrite', store => store.put(msg.item)).then(() =>
+      self.registration.sync ? self.registration.sync.register(SYNC_TAG).catch(() => {}) : null
+    ));
+  } else if (msg.type === 'RETRY_SYNC') {
+    e.waitUntil(flushOutbox());
+  } else if (msg.type === 'SYNC_CLEAR') {
+    e.waitUntil(outbox('readwrite', store => store.delete(msg.export_id)));
+  }
+});
+
+self.addEventListener('sync', e => {
+  if (e.tag !== SYNC_TAG) return;
+  // Rejecting asks the browser to try again later
+  e.waitUntil(flushOutbox().then(unsent => {
+    if (unsent) throw new Error(`${unsent} sync item(s) still unsent`);
+  }));
+});
@@ -0,0 +1,132 @@
+/**
+ * Pasted-text import for the Card Tracker PWA.
+ *
+ * Matches freeform inventory lines ("Topps Chrome 2024 #15 Judge Refractor x2")
+ * to a catalog product, set, card and parallel. Every line gets its best match
+ * and a 0–1 confidence so the import sheet can point out the ones to check.
+ */
+
+import { similarity } from './match.js';
+
+const WEIGHTS = { product: 0.35, card: 0.35, set: 0.15, parallel: 0.15 };
+const WORD_MATCH = 0.8;    // one typo in a longer word still counts ("Refactor")
+const MIN_PRODUCT = 0.3;   // below this the line doesn't name the product…
+const MIN_PLAYER = 0.8;    // …and a card only matches by its player name (low confidence)
+
+function words(s) {
+  return String(s == null ? '' : s).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Share of nameWords found among lineWords, and the line words that matched them
+function coverage(nameWords, lineWords) {
+  const used = new Set();
+  if (!nameWords.length) return { score: 0, used };
+  let hits = 0;
+  nameWords.forEach(nw => {
+    const w = lineWords.find(lw => !used.has(lw) && (lw === nw || similarity(lw, nw) >= WORD_MATCH));
+    if (w) {
+      used.add(w);
+      hits++;
+    }
+  });
+  return { score: hits / nameWords.length, used };
+}
+
+// Pull quantity, year and card number out of the line; the rest is words to match
+function parseLine(text) {
+  let rest = ` ${text} `;
+  let quantity = 1;
+  const qty = rest.match(/\s(?:x\s*(\d+)|(\d+)\s*x|qty:?\s*(\d+))(?=\s)/i);
+  if (qty) {
+    quantity = +(qty[1] || qty[2] || qty[3]) || 1;
+    rest = rest.replace(qty[0], ' ');
+  }
+  const yearMatch = rest.match(/\b((?:19|20)\d{2})(?:-\d{2})?\b/);
+  const year = yearMatch ? yearMatch[1] : null;
+  if (yearMatch) rest = rest.replace(yearMatch[0], ' ');
+
+  // "#15" is unambiguous; otherwise any remaining token with a digit might be the number
+  let numbers;
+  const hash = rest.match(/#\s*([A-Za-z0-9][A-Za-z0-9-]*)/);
+  if (hash) {
+    numbers = [hash[1]];
+    rest = rest.replace(hash[0], ' ');
+  } else {
+    numbers = rest.split(/\s+/).map(t => t.replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9]+$/g, '')).filter(t => /\d/.test(t));
+  }
+  const numberWords = new Set(numbers.flatMap(words));
+  return { quantity, year, numbers, words: words(rest).filter(w => !numberWords.has(w)) };
+}
+
+function findCards(set, number) {
+  const key = number.toLowerCase();
+  return set.cards.filter(c => {
+    const n = c.number.toLowerCase();
+    return n === key || (set.prefix && n === (set.prefix + number).toLowerCase());
+  });
+}
+
+// The set's parallel named in the line (longest name wins), else its base parallel
+function pickParallel(set, lineWords) {
+  let best = null;
+  set.parallels.forEach(p => {
+    const nameWords = words(p.name);
+    const c = coverage(nameWords, lineWords);
+    if (c.score === 1 && (!best || nameWords.length > best.size)) best = { parallel: p, used: c.used, size: nameWords.length };
+  });
+  if (best) return { parallel: best.parallel, score: 1, used: best.used };
+  const base = set.parallels.find(p => p.is_base) || set.parallels.find(p => p.name === 'Base') || set.parallels[0];
+  return { parallel: base || null, score: base ? 0.8 : 0, used: new Set() };
+}
+
+// How well the leftover words name the card's player (0.5 when the line names nobody)
+function playerScore(card, leftover) {
+  if (!leftover.length) return 0.5;
+  const nameWords = words(card.player || card.card_name);
+  let best = 0;
+  leftover.forEach(w => nameWords.forEach(n => { best = Math.max(best, similarity(w, n)); }));
+  return best;
+}
+
+// Best catalog match for one line:
+// { text, quantity, product, set, card, parallel, confidence } (product etc. null when nothing fits)
+function matchLine(text, catalog) {
+  const line = parseLine(text);
+  let best = { text, quantity: line.quantity, product: null, set: null, card: null, parallel: null, confidence: 0 };
+
+  catalog.products.forEach(product => {
+    const prod = coverage(words(product.name), line.words);
+    const yearFactor = !line.year ? 0.9 : String(product.year).startsWith(line.year) ? 1 : 0.5;
+    const productScore = prod.score * yearFactor;
+    // Lines like "Holliday auto gold" name no product; still search it, by player only
+    const byPlayerOnly = productScore < MIN_PRODUCT && catalog.products.length > 1;
+    const afterProduct = line.words.filter(w => !prod.used.has(w));
+
+    product.sets.forEach(set => {
+      const st = coverage(words(set.name), afterProduct);
+      const setScore = st.score > 0 ? st.score : set.type === 'base' ? 0.7 : 0.3;
+      const afterSet = afterProduct.filter(w => !st.used.has(w));
+      const par = pickParallel(set, afterSet);
+      const leftover = afterSet.filter(w => !par.used.has(w));
+
+      const cards = line.numbers.length ? line.numbers.flatMap(n => findCards(set, n)) : set.cards;
+      cards.forEach(card => {
+        const player = playerScore(card, leftover);
+        if (byPlayerOnly && (!leftover.length || player < MIN_PLAYER)) return;
+        const cardScore = line.numbers.length ? 0.6 + 0.4 * player : 0.8 * player;
+        const confidence = WEIGHTS.product * productScore + WEIGHTS.card * cardScore +
+          WEIGHTS.set * setScore + WEIGHTS.parallel * par.score;
+        if (confidence > best.confidence) {
+          best = { text, quantity: line.quantity, product, set, card, parallel: par.parallel, confidence };
+        }
+      });
+    });
+  });
+  return best;
+}
+
+function matchLines(text, catalog) {
+  return text.split(/\r?\n/).map(l => l.trim()).filter(Boolean).map(l => matchLine(l, catalog));
+}
+
+export { matchLines, matchLine };
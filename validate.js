@@ -0,0 +1,190 @@
+/**
+ * Catalog validator for the Card Tracker PWA.
+ *
+ * Checks a parsed catalog against format_version 3 before it replaces the
+ * stored one. Returns a list of problems, each prefixed with the path of the
+ * offending value (e.g. "products[4].sets[2].cards[17].team missing"); an
+ * empty list means the catalog is safe to load.
+ */
+
+const FORMAT_VERSION = 3;
+const TAG_GROUPS = ['location', 'price_bucket', 'status'];
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function validateCatalog(data) {
+  const problems = [];
+  const fail = (path, msg) => problems.push(`${path} ${msg}`);
+  // Every path is written from the catalog root: "tags", "products[4].sets[2].name"
+  const at = (path, key) => path ? `${path}.${key}` : key;
+
+  const string = (obj, key, path, { optional = false, empty = false } = {}) => {
+    const v = obj[key];
+    if (v === undefined || v === null) {
+      if (!optional) fail(at(path, key), 'missing');
+      return;
+    }
+    if (typeof v !== 'string') fail(at(path, key), 'must be a string');
+    else if (!empty && !v.trim()) fail(at(path, key), 'must not be empty');
+  };
+  const boolean = (obj, key, path) => {
+    if (obj[key] !== undefined && obj[key] !== null && typeof obj[key] !== 'boolean') {
+      fail(at(path, key), 'must be true or false');
+    }
+  };
+  const array = (obj, key, path, optional = false) => {
+    const v = obj[key];
+    if (v === undefined || v === null) {
+      if (!optional) fail(at(path, key), 'missing');
+      return [];
+    }
+    if (!Array.isArray(v)) {
+      fail(at(path, key), 'must be a list');
+      return [];
+    }
+    return v;
+  };
+  const strings = (obj, key, path, optional = false) => {
+    array(obj, key, path, optional).forEach((v, i) => {
+      if (typeof v !== 'string' || !v.trim()) fail(`${at(path, key)}[${i}]`, 'must be a non-empty string');
+    });
+  };
+  const color = (obj, path) => {
+    const v = obj.color_hex;
+    if (v !== undefined && v !== null && (typeof v !== 'string' || !HEX_COLOR.test(v))) {
+      fail(at(path, 'color_hex'), 'must be a #rrggbb color');
+    }
+  };
+  // Reports each repeated key once per list
+  const unique = (items, keyFn, path, label) => {
+    const seen = new Set();
+    const reported = new Set();
+    items.forEach(item => {
+      if (!isObject(item)) return;
+      const key = keyFn(item);
+      if (typeof key !== 'string') return;
+      if (seen.has(key) && !reported.has(key)) {
+        fail(path, `duplicate ${label} "${key}"`);
+        reported.add(key);
+      }
+      seen.add(key);
+    });
+  };
+
+  if (!isObject(data)) {
+    return ['catalog must be a JSON object'];
+  }
+
+  if (data.format_version === undefined) fail('format_version', 'missing');
+  else if (data.format_version !== FORMAT_VERSION) {
+    fail('format_version', `is ${JSON.stringify(data.format_version)}, expected ${FORMAT_VERSION}`);
+  }
+  string(data, 'exported_at', '', { optional: true });
+
+  const products = array(data, 'products', '');
+  products.forEach((p, i) => {
+    const pp = `products[${i}]`;
+    if (!isObject(p)) { fail(pp, 'must be an object'); return; }
+    string(p, 'name', pp);
+    string(p, 'year', pp);
+    string(p, 'sport', pp);
+
+    const sets = array(p, 'sets', pp);
+    unique(sets, s => s.name, `${pp}.sets`, 'set name');
+    sets.forEach((s, j) => {
+      const sp = `${pp}.sets[${j}]`;
+      if (!isObject(s)) { fail(sp, 'must be an object'); return; }
+      string(s, 'name', sp);
+      string(s, 'type', sp);
+      string(s, 'prefix', sp, { optional: true, empty: true });
+
+      const cards = array(s, 'cards', sp);
+      unique(cards, c => c.number, `${sp}.cards`, 'card number');
+      cards.forEach((c, k) => {
+        const cp = `${sp}.cards[${k}]`;
+        if (!isObject(c)) { fail(cp, 'must be an object'); return; }
+        string(c, 'number', cp);
+        string(c, 'player', cp, { empty: true });
+        string(c, 'team', cp, { empty: true });
+        string(c, 'card_name', cp, { optional: true, empty: true });
+        boolean(c, 'rookie', cp);
+        boolean(c, 'sp', cp);
+      });
+
+      const parallels = array(s, 'parallels', sp);
+      unique(parallels, par => par.name, `${sp}.parallels`, 'parallel name');
+      parallels.forEach((par, k) => {
+        const pap = `${sp}.parallels[${k}]`;
+        if (!isObject(par)) { fail(pap, 'must be an object'); return; }
+        string(par, 'name', pap);
+        boolean(par, 'is_base', pap);
+        color(par, pap);
+        const serial = par.serial_numbered;
+        if (serial !== undefined && serial !== null && !(Number.isInteger(serial) && serial > 0)) {
+          fail(`${pap}.serial_numbered`, 'must be a positive whole number');
+        }
+      });
+    });
+  });
+  unique(products, p => p.name, 'products', 'product name');
+
+  if (!isObject(data.tags)) {
+    fail('tags', data.tags === undefined ? 'missing' : 'must be an object');
+  } else {
+    TAG_GROUPS.forEach(group => {
+      const tags = array(data.tags, group, 'tags', true);
+      tags.forEach((t, i) => {
+        const tp = `tags.${group}[${i}]`;
+        if (!isObject(t)) { fail(tp, 'must be an object'); return; }
+        string(t, 'name', tp);
+        color(t, tp);
+      });
+    });
+  }
+
+  // Optional; the app falls back to its built-in scales without it
+  const grading = array(data, 'grading', '', true);
+  unique(grading, g => g.name, 'grading', 'grading company');
+  grading.forEach((g, i) => {
+    const gp = `grading[${i}]`;
+    if (!isObject(g)) { fail(gp, 'must be an object'); return; }
+    string(g, 'name', gp);
+    strings(g, 'grades', gp);
+    if (Array.isArray(g.grades) && !g.grades.length) fail(`${gp}.grades`, 'must not be empty');
+    strings(g, 'auto_grades', gp, true);
+    strings(g, 'subgrades', gp, true);
+    strings(g, 'subgrade_scale', gp, true);
+  });
+
+  const collection = array(data, 'collection', '', true);
+  collection.forEach((e, i) => {
+    const ep = `collection[${i}]`;
+    if (!isObject(e)) { fail(ep, 'must be an object'); return; }
+    string(e, 'product', ep);
+    string(e, 'set', ep);
+    string(e, 'card_number', ep);
+    string(e, 'parallel', ep, { optional: true });
+    string(e, 'serial_number', ep, { optional: true, empty: true });
+    string(e, 'grade', ep, { optional: true, empty: true });
+    string(e, 'cert_number', ep, { optional: true, empty: true });
+    if (e.subgrades !== undefined && e.subgrades !== null && !isObject(e.subgrades)) {
+      fail(`${ep}.subgrades`, 'must be an object');
+    }
+    if (!(Number.isInteger(e.quantity) && e.quantity > 0)) {
+      fail(`${ep}.quantity`, e.quantity === undefined ? 'missing' : 'must be a positive whole number');
+    }
+    if (e.median_price !== undefined && e.median_price !== null && !(typeof e.median_price === 'number' && e.median_price >= 0)) {
+      fail(`${ep}.median_price`, 'must be a number');
+    }
+    if (e.tags !== undefined && e.tags !== null && !isObject(e.tags)) {
+      fail(`${ep}.tags`, 'must be an object');
+    }
+  });
+
+  return problems;
+}
+
+export { validateCatalog, FORMAT_VERSION };